@@ -0,0 +1,221 @@
+/**
+ * Clipboard - Markdown in and out of the clipboard
+ *
+ * Plain text is read as markdown only when it looks like markdown. HTML from
+ * word processors and web pages is first reduced to the tags markdown can
+ * express - styling spans, classes, Word's `o:p` and Google Docs' wrappers go
+ * - then goes through Turndown and markdown-it, so whatever lands in the
+ * editor is exactly what the markdown will hold. Copying goes the other way:
+ * the selected fragment is serialized with the editor's Turndown rules.
+ */
+import { parseMarkdown, parseText } from './DocumentModel'
+import { MATH_BLOCK_CLASS, MATH_INLINE_CLASS, isMathElement, isMathBlock, getMathSource } from './Math'
+
+// Line starts and inline constructs that are rare in prose
+const MARKDOWN_PATTERNS = [
+  /^#{1,6}\s+\S/m,
+  /^\s*[-*+]\s+\S/m,
+  /^\s*\d+[.)]\s+\S/m,
+  /^>\s?\S/m,
+  /^(```|~~~)/m,
+  /^\s*\|.*\|\s*$/m,
+  /\*\*[^*\n]+\*\*|__[^_\n]+__|~~[^~\n]+~~/,
+  /!?\[[^\]\n]*\]\([^)\s]+\)/,
+  /`[^`\n]+`/
+]
+
+export function isMarkdown(text) {
+  return MARKDOWN_PATTERNS.some(pattern => pattern.test(text || ''))
+}
+
+// Tag => attributes kept on it
+const ALLOWED_TAGS = {
+  P: [], H1: [], H2: [], H3: [], H4: [], H5: [], H6: [],
+  BLOCKQUOTE: [], UL: [], OL: ['start'], LI: [], PRE: [], CODE: ['class'], HR: [], BR: [],
+  TABLE: [], THEAD: [], TBODY: [], TR: [], TH: ['align'], TD: ['align'],
+  STRONG: [], B: [], EM: [], I: [], S: [], DEL: [], STRIKE: [],
+  A: ['href', 'title'], IMG: ['src', 'alt', 'title'], INPUT: ['type', 'checked']
+}
+
+// Removed along with their content
+const DROPPED_TAGS = ['SCRIPT', 'STYLE', 'META', 'LINK', 'TITLE', 'HEAD', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'SVG', 'BUTTON', 'SELECT', 'TEXTAREA']
+
+// Layout wrappers that stand for a paragraph when they hold only inline content
+const PARAGRAPH_TAGS = ['DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FOOTER', 'ASIDE', 'FIGURE', 'CENTER', 'DD', 'DT']
+
+const BLOCK_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, blockquote, ul, ol, li, pre, table, hr, ' + PARAGRAPH_TAGS.join(', ').toLowerCase()
+
+// Inline styles word processors use instead of tags
+const STYLE_MARKS = [
+  ['strong', style => /^(bold|bolder|[6-9]00)$/.test(style.fontWeight)],
+  ['em', style => style.fontStyle === 'italic'],
+  ['s', style => /line-through/.test(style.textDecoration || style.textDecorationLine || '')]
+]
+
+const SAFE_URL = /^(https?:|mailto:|tel:|#|\/|\.|[^:]*$)/i
+const SAFE_IMAGE_URL = /^(https?:|data:image\/|\/|\.|[^:]*$)/i
+
+/**
+ * Reduce foreign HTML to the tags and attributes markdown can express
+ */
+export function sanitizeHTML(html) {
+  const body = new DOMParser().parseFromString(html, 'text/html').body
+  sanitizeChildren(body)
+  return body.innerHTML
+}
+
+function sanitizeChildren(parent) {
+  Array.from(parent.childNodes).forEach(sanitizeNode)
+}
+
+function sanitizeNode(node) {
+  if (node.nodeType === Node.TEXT_NODE) return
+  if (node.nodeType !== Node.ELEMENT_NODE || DROPPED_TAGS.includes(node.tagName.toUpperCase())) {
+    node.remove()
+    return
+  }
+
+  // Formulas keep their source and drop whatever drew them
+  if (isMathElement(node)) {
+    const math = node.ownerDocument.createElement(isMathBlock(node) ? 'div' : 'span')
+    math.className = isMathBlock(node) ? MATH_BLOCK_CLASS : MATH_INLINE_CLASS
+    math.setAttribute('data-tex', getMathSource(node))
+    node.replaceWith(math)
+    return
+  }
+
+  // Word's list bullets and numbers, the list itself is what matters
+  if (/mso-list:\s*Ignore/i.test(node.getAttribute('style') || '')) {
+    node.remove()
+    return
+  }
+
+  sanitizeChildren(node)
+
+  const tag = node.tagName.toUpperCase()
+  const marks = STYLE_MARKS.filter(([, test]) => test(node.style)).map(([mark]) => mark)
+
+  // Google Docs wraps the whole copy in a `<b style="font-weight:normal">`
+  if (tag === 'B' && /^(normal|[1-5]00)$/.test(node.style.fontWeight)) {
+    unwrap(node, marks)
+    return
+  }
+
+  if (!ALLOWED_TAGS[tag]) {
+    if (PARAGRAPH_TAGS.includes(tag) && !node.querySelector(BLOCK_SELECTOR)) {
+      const paragraph = node.ownerDocument.createElement('p')
+      paragraph.append(...wrapInMarks(node, marks))
+      node.replaceWith(paragraph)
+    } else {
+      unwrap(node, marks)
+    }
+    return
+  }
+
+  if (tag === 'INPUT' && node.getAttribute('type') !== 'checkbox') {
+    node.remove()
+    return
+  }
+
+  const align = node.style.textAlign
+  Array.from(node.attributes).forEach(attribute => {
+    if (!ALLOWED_TAGS[tag].includes(attribute.name)) node.removeAttribute(attribute.name)
+  })
+  if ((tag === 'TH' || tag === 'TD') && align) node.setAttribute('align', align)
+  if (tag === 'CODE' && !/^language-[\w+#-]+$/.test(node.getAttribute('class') || '')) node.removeAttribute('class')
+  if (tag === 'A' && !SAFE_URL.test((node.getAttribute('href') || '').trim())) node.removeAttribute('href')
+  if (tag === 'IMG' && !SAFE_IMAGE_URL.test((node.getAttribute('src') || '').trim())) {
+    node.remove()
+    return
+  }
+
+  // Styles on a block apply to its text, headings are bold already
+  if (marks.length && !/^H[1-6]$/.test(tag) && node.firstChild && !node.querySelector(BLOCK_SELECTOR)) {
+    node.replaceChildren(...wrapInMarks(node, marks))
+  }
+}
+
+/**
+ * Children of `element`, wrapped in one element per style mark
+ */
+function wrapInMarks(element, marks) {
+  const children = Array.from(element.childNodes)
+  if (!marks.length || !children.length) return children
+
+  const wrappers = marks.map(mark => element.ownerDocument.createElement(mark))
+  wrappers.reduce((outer, inner) => {
+    outer.append(inner)
+    return inner
+  }).append(...children)
+  return [wrappers[0]]
+}
+
+function unwrap(element, marks) {
+  element.replaceWith(...wrapInMarks(element, marks))
+}
+
+/**
+ * Blocks to paste for a clipboard or drag `DataTransfer`. `asPlainText` skips
+ * both HTML and markdown, keeping only the text.
+ */
+export function parseTransferData(dataTransfer, { md, turndownService, asPlainText = false }) {
+  const plainText = dataTransfer.getData('text/plain')
+  const htmlText = asPlainText ? '' : dataTransfer.getData('text/html')
+
+  if (htmlText) {
+    const markdown = turndownService.turndown(sanitizeHTML(htmlText))
+    return parsePastedMarkdown(md, markdown)
+  }
+  if (!asPlainText && isMarkdown(plainText)) {
+    return parsePastedMarkdown(md, plainText)
+  }
+  return parseText(plainText).content
+}
+
+/**
+ * Pasted markdown is parsed with raw HTML off: tags in it, including ones
+ * Turndown unescaped from the text of sanitized HTML, stay text
+ */
+function parsePastedMarkdown(md, markdown) {
+  const { html } = md.options
+  md.set({ html: false })
+  try {
+    return parseMarkdown(md, markdown).content
+  } finally {
+    md.set({ html })
+  }
+}
+
+// ========== Copy ==========
+
+const STRUCTURE_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, blockquote, ul, ol, li, pre, table, thead, tbody, tr, th, td, hr'
+
+/**
+ * Markdown for the selected part of the editor `root`, or '' when the browser
+ * should copy on its own (nothing selected, or text inside a code block).
+ * A selection within one textblock copies inline content; one spanning
+ * blocks keeps the lists, quotes and tables around them, so the items of a
+ * partially selected list still come out as list items.
+ */
+export function serializeRange(range, root, turndownService) {
+  if (range.collapsed || !root.contains(range.commonAncestorContainer)) return ''
+
+  let ancestor = range.commonAncestorContainer
+  if (ancestor.nodeType !== Node.ELEMENT_NODE) ancestor = ancestor.parentNode
+  if (ancestor.closest('pre') && root.contains(ancestor.closest('pre'))) return ''
+
+  const container = document.createElement('div')
+  container.append(range.cloneContents())
+
+  // Marks around the selection always apply, containers only to whole blocks
+  for (let node = ancestor; node && node !== root; node = node.parentNode) {
+    const isStructure = node.matches(STRUCTURE_SELECTOR)
+    if (isStructure && !container.querySelector(STRUCTURE_SELECTOR)) continue
+
+    const wrapper = node.cloneNode(false)
+    wrapper.append(...container.childNodes)
+    container.append(wrapper)
+  }
+
+  return turndownService.turndown(container.innerHTML).trim()
+}
@@ -0,0 +1,44 @@
+/**
+ * CodeBlocks - Fenced code block serialization
+ *
+ * markdown-it writes the fence info string as a `language-*` class on the CODE
+ * element. The Turndown rule reads it back (also accepting the short `lang-*`
+ * form other renderers use) and serializes the block from its plain text, so
+ * any decoration inside the code element never reaches the markdown.
+ */
+export const LANGUAGE_CLASS_PREFIX = 'language-'
+
+const LANGUAGE_CLASS = /(?:^|\s)(?:language|lang)-(\S+)/
+
+export function getCodeLanguage(codeElement) {
+  if (!codeElement) return ''
+  const match = (codeElement.getAttribute('class') || '').match(LANGUAGE_CLASS)
+  return match ? match[1] : ''
+}
+
+export function addCodeBlockRules(turndownService) {
+  turndownService.addRule('fencedCodeBlock', {
+    filter: 'pre',
+    replacement: function (content, node, options) {
+      const codeElement = node.firstChild && node.firstChild.nodeName === 'CODE'
+        ? node.firstChild
+        : node
+      const language = getCodeLanguage(codeElement)
+      const code = codeElement.textContent
+
+      // The fence must be longer than any fence-like run inside the code
+      const fenceChar = options.fence.charAt(0)
+      const fenceInCode = new RegExp('^' + fenceChar + '{3,}', 'gm')
+      let fenceSize = 3
+      let match
+      while ((match = fenceInCode.exec(code))) {
+        if (match[0].length >= fenceSize) {
+          fenceSize = match[0].length + 1
+        }
+      }
+      const fence = fenceChar.repeat(fenceSize)
+
+      return '\n\n' + fence + language + '\n' + code.replace(/\n$/, '') + '\n' + fence + '\n\n'
+    }
+  })
+}
@@ -0,0 +1,183 @@
+/**
+ * CodeHighlighter - Pluggable syntax highlighting for code blocks
+ *
+ * The highlight function receives the plain code and its fence language and
+ * returns HTML whose text content is exactly the input, which highlight.js and
+ * Prism output both satisfy. Highlighting only decorates the CODE element: its
+ * text stays the source of truth and the markup is stripped before serialization.
+ * While typing, a block is highlighted once the input pauses for DELAY, and
+ * only when its text or language changed since it was last highlighted.
+ */
+import { escapeHTML } from './DOMOperations'
+
+export default class CodeHighlighter {
+  constructor(domOps, blockModel, highlight = null) {
+    this.dom = domOps
+    this.blocks = blockModel
+    this.highlight = highlight
+    // Code element => what it was last highlighted from, and the markup left
+    this.highlighted = new WeakMap()
+    this.timer = null
+  }
+
+  static DELAY = 150
+
+  get enabled() {
+    return typeof this.highlight === 'function'
+  }
+
+  // ========== Rendering ==========
+
+  /**
+   * Highlighted HTML for the code, or null when it cannot be used safely
+   */
+  render(text, language) {
+    if (!this.enabled) return null
+
+    let html
+    try {
+      html = this.highlight(text, language)
+    } catch (error) {
+      return null
+    }
+    if (typeof html !== 'string') return null
+
+    // Reject output that changes the text, or the caret mapping would break
+    const temp = this.dom.createElement('div')
+    temp.innerHTML = html
+    return this.dom.getTextContent(temp) === text ? html : null
+  }
+
+  /**
+   * Re-highlight one code block, keeping the caret at the same text offsets
+   */
+  highlightBlock(pre) {
+    const code = this.blocks.getCodeElement(pre)
+    const text = this.dom.getTextContent(code)
+    const language = this.blocks.getCodeBlockLanguage(pre)
+    const state = { text, language, highlight: this.highlight }
+    if (sameState(this.highlighted.get(code), { ...state, html: this.dom.getInnerHTML(code) })) return false
+
+    const html = this.render(text, language)
+    const changed = html !== null && this.dom.getInnerHTML(code) !== html
+    if (changed) {
+      const selection = this.getSelectionOffsets(code)
+      this.dom.setInnerHTML(code, html)
+      if (selection) {
+        this.dom.selectTextRange(code, selection.start, selection.end)
+      }
+    }
+
+    this.highlighted.set(code, { ...state, html: this.dom.getInnerHTML(code) })
+    return changed
+  }
+
+  /**
+   * Highlight the code block at the caret once input pauses. Call cancel()
+   * when a composition starts, so its text is never rewritten under the IME.
+   */
+  scheduleAtCaret() {
+    const context = this.dom.getCursorContext()
+    const pre = this.enabled && context ? this.blocks.findCodeBlock(context.container) : null
+    if (!pre) return false
+
+    this.cancel()
+    this.timer = setTimeout(() => {
+      this.timer = null
+      if (this.dom.editor.contains(pre)) this.highlightBlock(pre)
+    }, CodeHighlighter.DELAY)
+    return true
+  }
+
+  cancel() {
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+
+  highlightAll() {
+    if (!this.enabled) return
+    Array.from(this.dom.editor.querySelectorAll('pre')).forEach(pre => this.highlightBlock(pre))
+  }
+
+  getSelectionOffsets(code) {
+    const context = this.dom.getCursorContext()
+    if (!context || !code.contains(context.container)) return null
+
+    const start = this.dom.getTextBeforeCaret(code).length
+    const end = code.contains(context.endContainer)
+      ? start + context.range.toString().length
+      : start
+    return { start, end }
+  }
+
+  // ========== Serialization ==========
+
+  /**
+   * Remove highlight markup from editor HTML, leaving plain code text
+   */
+  strip(html) {
+    if (!html.includes('<pre')) return html
+
+    const temp = this.dom.createElement('div')
+    temp.innerHTML = html
+    temp.querySelectorAll('pre').forEach(pre => {
+      const code = this.blocks.getCodeElement(pre)
+      if (code.children.length) {
+        code.textContent = code.textContent
+      }
+    })
+    return temp.innerHTML
+  }
+}
+
+function sameState(a, b) {
+  return !!a && Object.keys(b).every(key => a[key] === b[key])
+}
+
+// ========== Built-in Tokenizer ==========
+
+const KEYWORDS = new Set([
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'def',
+  'default', 'do', 'elif', 'else', 'enum', 'export', 'extends', 'false', 'finally',
+  'fn', 'for', 'from', 'func', 'function', 'if', 'impl', 'import', 'in', 'interface',
+  'let', 'match', 'new', 'nil', 'None', 'null', 'package', 'pass', 'pub', 'raise',
+  'return', 'self', 'static', 'struct', 'super', 'switch', 'this', 'throw', 'True',
+  'False', 'true', 'try', 'type', 'typeof', 'undefined', 'use', 'var', 'void',
+  'while', 'with', 'yield'
+])
+
+const HASH_COMMENT_LANGUAGES = ['bash', 'sh', 'shell', 'python', 'py', 'ruby', 'rb', 'yaml', 'yml']
+
+/**
+ * Minimal language-agnostic tokenizer (comments, strings, numbers, keywords)
+ * for use without a bundled highlighting library
+ */
+export function basicHighlighter(code, language) {
+  const hashComments = HASH_COMMENT_LANGUAGES.includes((language || '').toLowerCase())
+  const pattern = new RegExp([
+    hashComments ? '(#[^\\n]*)' : '(\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?(?:\\*\\/|$))',
+    '("(?:[^"\\\\\\n]|\\\\.)*"?|\'(?:[^\'\\\\\\n]|\\\\.)*\'?|`(?:[^`\\\\]|\\\\.)*`?)',
+    '(\\b\\d+(?:\\.\\d+)?\\b)',
+    '([A-Za-z_$][\\w$]*)'
+  ].join('|'), 'g')
+
+  let html = ''
+  let last = 0
+  let match
+
+  while ((match = pattern.exec(code))) {
+    html += escapeHTML(code.slice(last, match.index))
+    last = pattern.lastIndex
+
+    const [token, comment, string, number, word] = match
+    let kind = null
+    if (comment) kind = 'comment'
+    else if (string) kind = 'string'
+    else if (number) kind = 'number'
+    else if (word && KEYWORDS.has(word)) kind = 'keyword'
+
+    html += kind ? `<span class="hl-${kind}">${escapeHTML(token)}</span>` : escapeHTML(token)
+  }
+
+  return html + escapeHTML(code.slice(last))
+}
@@ -0,0 +1,154 @@
+/**
+ * CommandRegistry - Named editor commands and their key bindings
+ *
+ * Commands are plain objects with a `run(...args)` function and an optional
+ * `isActive(...args)` query. Key bindings map shortcut strings such as
+ * 'Mod-Shift-7' to a command name, or to `[name, ...args]` for parameterized
+ * commands. `Mod` resolves to Cmd on Apple platforms and Ctrl elsewhere.
+ */
+export default class CommandRegistry {
+  constructor(options = {}) {
+    this.isMac = options.isMac !== undefined ? options.isMac : CommandRegistry.detectMac()
+    this.commands = new Map()
+    this.bindings = new Map()
+  }
+
+  static MODIFIER_ORDER = ['Ctrl', 'Alt', 'Shift', 'Meta']
+
+  static detectMac() {
+    if (typeof navigator === 'undefined') return false
+    return /Mac|iPhone|iPad|iPod/.test(navigator.platform || navigator.userAgent || '')
+  }
+
+  // ========== Commands ==========
+
+  register(name, command) {
+    if (!command || typeof command.run !== 'function') {
+      throw new Error(`Command "${name}" must provide a run function`)
+    }
+    this.commands.set(name, command)
+  }
+
+  has(name) {
+    return this.commands.has(name)
+  }
+
+  getNames() {
+    return Array.from(this.commands.keys())
+  }
+
+  run(name, ...args) {
+    const command = this.commands.get(name)
+    if (!command) {
+      throw new Error(`Unknown command: ${name}`)
+    }
+    return command.run(...args) !== false
+  }
+
+  isActive(name, ...args) {
+    const command = this.commands.get(name)
+    if (!command || !command.isActive) return false
+    return !!command.isActive(...args)
+  }
+
+  // ========== Key Bindings ==========
+
+  /**
+   * Apply a keymap on top of the current bindings. A null target removes the
+   * binding for that shortcut.
+   */
+  bindKeys(keymap) {
+    Object.keys(keymap || {}).forEach(shortcut => {
+      const key = this.normalizeShortcut(shortcut)
+      const target = keymap[shortcut]
+
+      if (target === null || target === false) {
+        this.bindings.delete(key)
+      } else {
+        this.bindings.set(key, Array.isArray(target) ? target : [target])
+      }
+    })
+  }
+
+  clearBindings() {
+    this.bindings.clear()
+  }
+
+  normalizeShortcut(shortcut) {
+    const parts = shortcut.split(/-(?!$)/)
+    let key = parts.pop()
+    const modifiers = new Set()
+
+    parts.forEach(part => {
+      const name = part.toLowerCase()
+      if (name === 'mod') modifiers.add(this.isMac ? 'Meta' : 'Ctrl')
+      else if (name === 'ctrl' || name === 'control') modifiers.add('Ctrl')
+      else if (name === 'cmd' || name === 'meta') modifiers.add('Meta')
+      else if (name === 'alt' || name === 'option') modifiers.add('Alt')
+      else if (name === 'shift') modifiers.add('Shift')
+      else throw new Error(`Unknown modifier "${part}" in shortcut ${shortcut}`)
+    })
+
+    if (key.length === 1) key = key.toLowerCase()
+
+    return this.composeKey(modifiers, key)
+  }
+
+  /**
+   * Build the binding key for a keyboard event. Digits and letters are read from
+   * `event.code` so Shift/Alt variants ('&', '¡') still match 'Shift-7', 'Alt-1'.
+   */
+  eventToShortcut(event) {
+    const modifiers = new Set()
+    if (event.ctrlKey) modifiers.add('Ctrl')
+    if (event.altKey) modifiers.add('Alt')
+    if (event.shiftKey) modifiers.add('Shift')
+    if (event.metaKey) modifiers.add('Meta')
+
+    let key = event.key
+    const code = event.code || ''
+    const codeMatch = code.match(/^(?:Digit|Key)([0-9A-Z])$/)
+    if (codeMatch) {
+      key = codeMatch[1].toLowerCase()
+    } else if (key && key.length === 1) {
+      key = key.toLowerCase()
+    }
+
+    return this.composeKey(modifiers, key)
+  }
+
+  composeKey(modifiers, key) {
+    const ordered = CommandRegistry.MODIFIER_ORDER.filter(modifier => modifiers.has(modifier))
+    return [...ordered, key].join('-')
+  }
+
+  /**
+   * Returns `[name, ...args]` for the command bound to the event, or null
+   */
+  findBinding(event) {
+    return this.bindings.get(this.eventToShortcut(event)) || null
+  }
+
+  /**
+   * Human readable shortcut for a command, for tooltips
+   */
+  getShortcutLabel(name, ...args) {
+    for (const [key, target] of this.bindings) {
+      const [targetName, ...targetArgs] = target
+      if (targetName !== name) continue
+      if (targetArgs.length !== args.length ||
+          targetArgs.some((arg, index) => arg !== args[index])) continue
+
+      const parts = key.split(/-(?!$)/)
+      const keyName = parts.pop()
+      const labels = parts.map(modifier => {
+        if (!this.isMac) return modifier
+        return { Ctrl: '⌃', Alt: '⌥', Shift: '⇧', Meta: '⌘' }[modifier]
+      })
+      const label = keyName.length === 1 ? keyName.toUpperCase() : keyName
+
+      return this.isMac ? labels.join('') + label : [...labels, label].join('+')
+    }
+    return null
+  }
+}
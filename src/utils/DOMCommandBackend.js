@@ -0,0 +1,610 @@
+/**
+ * DOMCommandBackend - Editing commands implemented on the DOM
+ *
+ * Replaces execCommand for the commands the editor relies on: insertHTML,
+ * insertText, delete, forwardDelete, formatBlock, outdent and
+ * insertParagraph. They follow
+ * what Chrome does for the simple cases the editor produces, without the
+ * engine-specific inline styles. Other commands go to the fallback backend.
+ *
+ * Every command is recorded as the DOM mutations it made, so undo() can
+ * invert them and redo() replay them. Recorded commands are only valid while
+ * nothing else has changed the editor since; otherwise the stacks are dropped.
+ */
+import NativeCommandBackend from './NativeCommandBackend'
+
+const TEXTBLOCK_TAGS = ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'PRE', 'LI', 'TH', 'TD']
+const BLOCK_TAGS = [...TEXTBLOCK_TAGS, 'UL', 'OL', 'BLOCKQUOTE', 'TABLE', 'HR', 'FIGURE']
+const VOID_TAGS = ['BR', 'IMG', 'INPUT', 'HR', 'FIGURE']
+
+const OBSERVE_OPTIONS = {
+  childList: true,
+  subtree: true,
+  characterData: true,
+  characterDataOldValue: true,
+  attributes: true,
+  attributeOldValue: true
+}
+
+export default class DOMCommandBackend {
+  constructor(editorElement, options = {}) {
+    this.editor = editorElement
+    this.fallback = options.fallback || new NativeCommandBackend()
+    this.undoStack = []
+    this.redoStack = []
+  }
+
+  static COMMANDS = ['insertHTML', 'insertText', 'delete', 'forwardDelete', 'formatBlock', 'outdent', 'insertParagraph']
+  static MAX_DEPTH = 200
+
+  execute(command, value = null) {
+    if (!DOMCommandBackend.COMMANDS.includes(command)) {
+      return this.fallback.execute(command, value)
+    }
+
+    const range = this.getRange()
+    if (!range) return false
+
+    const before = this.saveSelection()
+    let result
+    const records = this.observe(() => {
+      result = this.run(command, range, value)
+    })
+
+    if (records.length) {
+      this.push({ records, before, after: this.saveSelection(), html: this.editor.innerHTML })
+    }
+    return result
+  }
+
+  run(command, range, value) {
+    switch (command) {
+      case 'insertHTML':
+        return this.insertHTML(range, value || '')
+      case 'insertText':
+        return this.insertText(range, value || '')
+      case 'delete':
+        return this.deleteContent(range)
+      case 'forwardDelete':
+        return this.forwardDeleteContent(range)
+      case 'formatBlock':
+        return this.formatBlock(range, value || 'p')
+      case 'outdent':
+        return this.outdent(range)
+      case 'insertParagraph':
+        return this.insertParagraph(range)
+    }
+    return false
+  }
+
+  // ========== Commands ==========
+
+  insertText(range, text) {
+    if (!range.collapsed) range.deleteContents()
+
+    const container = range.startContainer
+    const offset = range.startOffset
+    if (container.nodeType === Node.TEXT_NODE) {
+      container.insertData(offset, text)
+      setCaret(container, offset + text.length)
+      return true
+    }
+
+    removePlaceholder(container)
+    const node = document.createTextNode(text)
+    const reference = container.childNodes[Math.min(offset, container.childNodes.length)] || null
+    container.insertBefore(node, reference)
+    setCaret(node, text.length)
+    return true
+  }
+
+  insertHTML(range, html) {
+    if (!range.collapsed) range.deleteContents()
+
+    const fragment = range.createContextualFragment(html)
+    const nodes = Array.from(fragment.childNodes)
+    if (!nodes.length) return true
+    const last = nodes[nodes.length - 1]
+
+    const block = this.findTextblock(range.startContainer)
+    if (nodes.some(isBlock) && block && block.tagName !== 'LI') {
+      // Block content splits the block it lands in
+      const after = splitBlockAt(block, range)
+      block.parentNode.insertBefore(fragment, after)
+      if (isBlank(after)) after.remove()
+      if (isBlank(block)) block.remove()
+    } else {
+      removePlaceholder(block && range.startContainer === block ? block : null)
+      range.insertNode(fragment)
+    }
+
+    placeCaretAtEnd(last)
+    return true
+  }
+
+  deleteContent(range) {
+    if (!range.collapsed) {
+      const block = this.findTextblock(range.startContainer)
+      range.deleteContents()
+      if (block && block.isConnected) fillEmpty(block)
+      return true
+    }
+
+    let container = range.startContainer
+    let offset = range.startOffset
+    if (container.nodeType === Node.ELEMENT_NODE && offset > 0) {
+      const position = previousTextPosition(container, offset, this.findTextblock(container) || this.editor)
+      if (position) {
+        container = position.node
+        offset = position.offset
+      }
+    }
+
+    if (container.nodeType === Node.TEXT_NODE && offset > 0) {
+      const block = this.findTextblock(container)
+      container.deleteData(offset - 1, 1)
+      if (!container.data) {
+        removeEmptyNode(container, block || this.editor)
+      } else {
+        setCaret(container, offset - 1)
+      }
+      fillEmpty(block)
+      return true
+    }
+
+    // At a block start: join with the previous textblock
+    const block = this.findTextblock(container)
+    const previous = block && block.previousElementSibling
+    if (!previous || !TEXTBLOCK_TAGS.includes(previous.tagName)) return false
+
+    // Text joining a code block goes into its CODE element
+    const target = previous.tagName === 'PRE' && previous.lastElementChild ? previous.lastElementChild : previous
+    removePlaceholder(target)
+    removePlaceholder(block)
+    const joinOffset = target.childNodes.length
+    while (block.firstChild) target.appendChild(block.firstChild)
+    block.remove()
+    setCaret(target, joinOffset)
+    return true
+  }
+
+  forwardDeleteContent(range) {
+    if (!range.collapsed) return this.deleteContent(range)
+
+    const block = this.findTextblock(range.startContainer)
+    const position = nextTextPosition(range.startContainer, range.startOffset, block || this.editor)
+    if (position) {
+      const { node, offset } = position
+      node.deleteData(offset, 1)
+      if (!node.data) {
+        removeEmptyNode(node, block || this.editor)
+      } else {
+        setCaret(node, offset)
+      }
+      fillEmpty(block)
+      return true
+    }
+
+    // At a block end: join the next textblock into this one
+    const next = block && block.nextElementSibling
+    if (!next || !TEXTBLOCK_TAGS.includes(next.tagName)) return false
+
+    const target = block.tagName === 'PRE' && block.lastElementChild ? block.lastElementChild : block
+    removePlaceholder(target)
+    removePlaceholder(next)
+    const joinOffset = target.childNodes.length
+    while (next.firstChild) target.appendChild(next.firstChild)
+    next.remove()
+    setCaret(target, joinOffset)
+    return true
+  }
+
+  formatBlock(range, value) {
+    const tag = value.replace(/[<>]/g, '').toUpperCase()
+    const block = this.findTextblock(range.startContainer)
+
+    if (!block) {
+      // Loose inline content directly in the editor
+      const container = range.startContainer
+      if (container.nodeType !== Node.TEXT_NODE || container.parentNode !== this.editor) return false
+      const offset = range.startOffset
+      const wrapper = document.createElement(tag)
+      this.editor.insertBefore(wrapper, container)
+      wrapper.appendChild(container)
+      setCaret(container, offset)
+      return true
+    }
+
+    if (block.tagName === tag) return true
+
+    const offset = range.startOffset
+    const startContainer = range.startContainer
+    let target
+    if (['LI', 'TD', 'TH'].includes(block.tagName)) {
+      target = document.createElement(tag)
+      while (block.firstChild) target.appendChild(block.firstChild)
+      block.appendChild(target)
+    } else {
+      target = replaceTag(block, tag)
+    }
+
+    setCaret(startContainer === block ? target : startContainer, offset)
+    return true
+  }
+
+  outdent(range) {
+    const block = this.findTextblock(range.startContainer)
+    if (!block) return false
+
+    const item = block.closest('li')
+    if (item && this.editor.contains(item)) {
+      this.outdentListItem(item, block)
+      return true
+    }
+
+    const quote = block.closest('blockquote')
+    if (quote && this.editor.contains(quote)) {
+      const children = Array.from(quote.children)
+      const rest = children.slice(children.indexOf(block) + 1)
+      if (rest.length) {
+        const tail = quote.cloneNode(false)
+        rest.forEach(child => tail.appendChild(child))
+        quote.parentNode.insertBefore(tail, quote.nextSibling)
+      }
+      quote.parentNode.insertBefore(block, quote.nextSibling)
+      if (!quote.children.length) quote.remove()
+      setCaret(block, 0)
+      return true
+    }
+
+    return false
+  }
+
+  outdentListItem(item, block) {
+    const list = item.parentElement
+    const holder = list.parentElement
+
+    // Items after this one stay in a list of their own
+    const items = Array.from(list.children)
+    const rest = items.slice(items.indexOf(item) + 1)
+    if (rest.length) {
+      const tail = list.cloneNode(false)
+      rest.forEach(child => tail.appendChild(child))
+      holder.insertBefore(tail, list.nextSibling)
+    }
+
+    let lifted
+    if (holder.tagName === 'LI') {
+      // A nested item moves into the outer list
+      holder.parentElement.insertBefore(item, holder.nextSibling)
+      lifted = item
+    } else if (block === item) {
+      lifted = document.createElement('p')
+      while (item.firstChild) lifted.appendChild(item.firstChild)
+      holder.insertBefore(lifted, list.nextSibling)
+      item.remove()
+    } else {
+      const reference = list.nextSibling
+      Array.from(item.childNodes).forEach(child => holder.insertBefore(child, reference))
+      item.remove()
+      lifted = block
+    }
+    if (!list.children.length) list.remove()
+
+    fillEmpty(lifted)
+    setCaret(lifted, 0)
+  }
+
+  insertParagraph(range) {
+    if (!range.collapsed) range.deleteContents()
+
+    let block = this.findTextblock(range.startContainer)
+    if (!block) {
+      block = document.createElement('p')
+      this.editor.appendChild(block)
+    }
+
+    const after = splitBlockAt(block, range)
+    if (/^H[1-6]$/.test(after.tagName) && !after.textContent) {
+      replaceTag(after, 'p')
+    }
+    const next = block.nextSibling
+    fillEmpty(block)
+    fillEmpty(next)
+    setCaret(next, 0)
+    return true
+  }
+
+  // ========== Undo / Redo ==========
+
+  push(transaction) {
+    this.undoStack.push(transaction)
+    if (this.undoStack.length > DOMCommandBackend.MAX_DEPTH) {
+      this.undoStack.shift()
+    }
+    this.redoStack = []
+  }
+
+  /**
+   * Whether the editor is still as the transaction left it, dropping both
+   * stacks when something else changed it since
+   */
+  isCurrent(transaction) {
+    if (this.editor.innerHTML === transaction.html) return true
+    this.undoStack = []
+    this.redoStack = []
+    return false
+  }
+
+  undo() {
+    const transaction = this.undoStack[this.undoStack.length - 1]
+    if (!transaction || !this.isCurrent(transaction)) return false
+
+    this.undoStack.pop()
+    this.invert(transaction, transaction.before)
+    this.redoStack.push(transaction)
+    return true
+  }
+
+  redo() {
+    const transaction = this.redoStack[this.redoStack.length - 1]
+    if (!transaction || !this.isCurrent(transaction)) return false
+
+    this.redoStack.pop()
+    this.invert(transaction, transaction.after)
+    this.undoStack.push(transaction)
+    return true
+  }
+
+  /**
+   * Revert the transaction's records, keeping the records of the reversal so
+   * the next undo or redo inverts those. Commands fill nodes while they are
+   * still detached, which no observer sees, so the original records cannot
+   * simply be replayed.
+   */
+  invert(transaction, selection) {
+    const { records } = transaction
+    const reversal = []
+    for (let i = records.length - 1; i >= 0; i--) {
+      revertRecord(records[i], reversal)
+    }
+    transaction.records = reversal
+    transaction.html = this.editor.innerHTML
+    this.restoreSelection(selection)
+  }
+
+  /**
+   * Run `mutate`, returning the mutation records it made in the editor
+   */
+  observe(mutate) {
+    const observer = new MutationObserver(() => {})
+    observer.observe(this.editor, OBSERVE_OPTIONS)
+
+    let records
+    try {
+      mutate()
+    } finally {
+      records = observer.takeRecords()
+      observer.disconnect()
+    }
+    return records
+  }
+
+  // ========== Selection ==========
+
+  getRange() {
+    const selection = window.getSelection()
+    if (!selection.rangeCount) return null
+
+    const range = selection.getRangeAt(0)
+    return this.editor.contains(range.commonAncestorContainer) ? range : null
+  }
+
+  saveSelection() {
+    const range = this.getRange()
+    if (!range) return null
+    return {
+      startContainer: range.startContainer,
+      startOffset: range.startOffset,
+      endContainer: range.endContainer,
+      endOffset: range.endOffset
+    }
+  }
+
+  restoreSelection(saved) {
+    if (!saved || !this.editor.contains(saved.startContainer) || !this.editor.contains(saved.endContainer)) return
+
+    const range = document.createRange()
+    range.setStart(saved.startContainer, saved.startOffset)
+    range.setEnd(saved.endContainer, saved.endOffset)
+    const selection = window.getSelection()
+    selection.removeAllRanges()
+    selection.addRange(range)
+  }
+
+  findTextblock(node) {
+    let element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement
+    while (element && element !== this.editor) {
+      if (TEXTBLOCK_TAGS.includes(element.tagName)) return element
+      element = element.parentElement
+    }
+    return null
+  }
+}
+
+// ========== Mutation Records ==========
+
+/**
+ * Undo the mutation in `record`, logging records of the reversal to `log`
+ */
+function revertRecord(record, log) {
+  const { target } = record
+  switch (record.type) {
+    case 'characterData':
+      log.push({ type: 'characterData', target, oldValue: target.data })
+      target.data = record.oldValue
+      break
+    case 'attributes':
+      log.push({ type: 'attributes', target, attributeName: record.attributeName,
+        oldValue: target.getAttribute(record.attributeName) })
+      setAttribute(target, record.attributeName, record.oldValue)
+      break
+    case 'childList':
+      Array.from(record.addedNodes).forEach(node => removeNode(node, log))
+      Array.from(record.removedNodes).forEach(node => insertNode(target, node, record.nextSibling, log))
+      break
+  }
+}
+
+function removeNode(node, log) {
+  const parent = node.parentNode
+  if (!parent) return
+  log.push({ type: 'childList', target: parent, addedNodes: [], removedNodes: [node], nextSibling: node.nextSibling })
+  parent.removeChild(node)
+}
+
+function insertNode(parent, node, reference, log) {
+  removeNode(node, log)
+  parent.insertBefore(node, reference)
+  log.push({ type: 'childList', target: parent, addedNodes: [node], removedNodes: [], nextSibling: reference })
+}
+
+function setAttribute(element, name, value) {
+  if (value === null) {
+    element.removeAttribute(name)
+  } else {
+    element.setAttribute(name, value)
+  }
+}
+
+// ========== Helpers ==========
+
+function isBlock(node) {
+  return !!node && node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.includes(node.tagName)
+}
+
+function isBlank(element) {
+  return !element.textContent && !element.querySelector('img, input')
+}
+
+function indexOf(node) {
+  return Array.prototype.indexOf.call(node.parentNode.childNodes, node)
+}
+
+function setCaret(node, offset) {
+  const range = document.createRange()
+  range.setStart(node, offset)
+  range.collapse(true)
+  const selection = window.getSelection()
+  selection.removeAllRanges()
+  selection.addRange(range)
+}
+
+/**
+ * Caret at the end of the deepest last descendant, before a <br> placeholder
+ */
+function placeCaretAtEnd(node) {
+  while (node.nodeType === Node.ELEMENT_NODE && node.lastChild && !VOID_TAGS.includes(node.tagName)) {
+    node = node.lastChild
+  }
+  if (node.nodeType === Node.TEXT_NODE) {
+    setCaret(node, node.length)
+  } else {
+    const parent = node.parentNode
+    const placeholder = node.nodeName === 'BR' && parent.childNodes.length === 1
+    setCaret(parent, placeholder ? indexOf(node) : indexOf(node) + 1)
+  }
+}
+
+/**
+ * Text node and offset just before an element boundary point, if any
+ */
+function previousTextPosition(container, offset, block) {
+  let node = container.childNodes[offset - 1]
+  while (node && node.nodeType === Node.ELEMENT_NODE && node.lastChild) node = node.lastChild
+  if (node && node.nodeType === Node.TEXT_NODE && block.contains(node) && node.length) {
+    return { node, offset: node.length }
+  }
+  return null
+}
+
+/**
+ * Text node and offset of the first character after a boundary point inside
+ * `block`, if any
+ */
+function nextTextPosition(container, offset, block) {
+  if (container.nodeType === Node.TEXT_NODE && offset < container.length) {
+    return { node: container, offset }
+  }
+
+  const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT)
+  let start = container
+  if (container.nodeType === Node.ELEMENT_NODE) {
+    start = container.childNodes[offset] || null
+    if (!start) {
+      start = container
+      while (start && start !== block && !start.nextSibling) start = start.parentNode
+      if (!start || start === block) return null
+      start = start.nextSibling
+    }
+    if (start.nodeType === Node.TEXT_NODE && start.length) return { node: start, offset: 0 }
+  }
+
+  walker.currentNode = start
+  let node
+  while ((node = walker.nextNode())) {
+    if (node.length) return { node, offset: 0 }
+  }
+  return null
+}
+
+/**
+ * Remove an emptied node along with inline wrappers left empty by it, putting
+ * the caret where it was
+ */
+function removeEmptyNode(node, block) {
+  let parent = node.parentNode
+  let index = indexOf(node)
+  parent.removeChild(node)
+
+  while (parent !== block && !parent.childNodes.length) {
+    node = parent
+    parent = node.parentNode
+    index = indexOf(node)
+    parent.removeChild(node)
+  }
+  setCaret(parent, index)
+}
+
+function fillEmpty(element) {
+  if (element && !element.textContent && !element.querySelector('br, img, hr, input')) {
+    element.innerHTML = '<br>'
+  }
+}
+
+function removePlaceholder(element) {
+  if (element && element.childNodes.length === 1 && element.firstChild.nodeName === 'BR') {
+    element.removeChild(element.firstChild)
+  }
+}
+
+/**
+ * Split `block` at the range start; returns the new block holding the tail
+ */
+function splitBlockAt(block, range) {
+  const tail = document.createRange()
+  tail.setStart(range.startContainer, range.startOffset)
+  tail.setEnd(block, block.childNodes.length)
+
+  const after = block.cloneNode(false)
+  after.appendChild(tail.extractContents())
+  block.parentNode.insertBefore(after, block.nextSibling)
+  return after
+}
+
+function replaceTag(element, tag) {
+  const replacement = document.createElement(tag)
+  while (element.firstChild) replacement.appendChild(element.firstChild)
+  element.parentNode.replaceChild(replacement, element)
+  return replacement
+}
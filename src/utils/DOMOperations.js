@@ -1,18 +1,54 @@
 /**
  * DOMOperations - Low-level atomic operations for DOM manipulation
  * 
- * This layer provides direct interaction with browser APIs using execCommand
- * for all mutations to ensure native undo/redo support.
+ * This layer provides direct interaction with browser APIs. Editing commands
+ * go through a backend: NativeCommandBackend (execCommand, the default) or
+ * DOMCommandBackend, which implements them on the DOM and records their
+ * inverses for its own undo(). The editor's undo is EditHistory's all the
+ * same: neither backend's stack sees the structural moves below.
  */
+import NativeCommandBackend from './NativeCommandBackend'
+
+/**
+ * Escape text for HTML content and double-quoted attribute values
+ */
+export function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
 export default class DOMOperations {
-  constructor(editorElement) {
+  constructor(editorElement, backend = null) {
     this.editor = editorElement
+    this.backend = backend || new NativeCommandBackend()
+    this.executing = false
   }
 
   // ========== ExecCommand Wrappers ==========
 
+  /**
+   * Run an editing command. `executing` is set meanwhile: the input events
+   * the command fires are part of an editor action, recorded once it is done.
+   */
   executeCommand(command, value = null) {
-    return document.execCommand(command, false, value)
+    const executing = this.executing
+    this.executing = true
+    try {
+      return this.backend.execute(command, value)
+    } finally {
+      this.executing = executing
+    }
+  }
+
+  undo() {
+    return this.backend.undo()
+  }
+
+  redo() {
+    return this.backend.redo()
   }
 
   insertHTML(html) {
@@ -27,6 +63,10 @@ export default class DOMOperations {
     return this.executeCommand('delete')
   }
 
+  forwardDelete() {
+    return this.executeCommand('forwardDelete')
+  }
+
   formatBlock(tag) {
     return this.executeCommand('formatBlock', tag)
   }
@@ -39,6 +79,34 @@ export default class DOMOperations {
     return this.executeCommand('insertParagraph')
   }
 
+  bold() {
+    return this.executeCommand('bold')
+  }
+
+  italic() {
+    return this.executeCommand('italic')
+  }
+
+  createLink(href) {
+    return this.executeCommand('createLink', href)
+  }
+
+  unlink() {
+    return this.executeCommand('unlink')
+  }
+
+  insertUnorderedList() {
+    return this.executeCommand('insertUnorderedList')
+  }
+
+  insertOrderedList() {
+    return this.executeCommand('insertOrderedList')
+  }
+
+  insertHorizontalRule() {
+    return this.executeCommand('insertHorizontalRule')
+  }
+
   // ========== Common Block Insertion Patterns ==========
 
   insertEmptyParagraph() {
@@ -72,6 +140,12 @@ export default class DOMOperations {
     return window.getSelection()
   }
 
+  isSelectionInEditor() {
+    const selection = window.getSelection()
+    if (!selection.rangeCount) return false
+    return this.editor.contains(selection.getRangeAt(0).commonAncestorContainer)
+  }
+
   getCursorContext() {
     const selection = window.getSelection()
     if (!selection.rangeCount) return null
@@ -88,10 +162,23 @@ export default class DOMOperations {
     }
   }
 
-  selectNode(node) {
+  getSelectedHTML() {
+    const selection = window.getSelection()
+    if (!selection.rangeCount) return ''
+
+    const temp = document.createElement('div')
+    temp.appendChild(selection.getRangeAt(0).cloneContents())
+    return temp.innerHTML
+  }
+
+  /**
+   * Select `node` whole, or the run of siblings from `node` to `last`
+   */
+  selectNode(node, last = node) {
     const range = document.createRange()
     const selection = window.getSelection()
-    range.selectNode(node)
+    range.setStartBefore(node)
+    range.setEndAfter(last)
     selection.removeAllRanges()
     selection.addRange(range)
   }
@@ -139,6 +226,29 @@ export default class DOMOperations {
     selection.addRange(range)
   }
 
+  /**
+   * Caret at the text position under viewport coordinates, as for a drop
+   */
+  setCaretFromPoint(x, y) {
+    let range = null
+    if (document.caretRangeFromPoint) {
+      range = document.caretRangeFromPoint(x, y)
+    } else if (document.caretPositionFromPoint) {
+      const position = document.caretPositionFromPoint(x, y)
+      if (position) {
+        range = document.createRange()
+        range.setStart(position.offsetNode, position.offset)
+      }
+    }
+    if (!range || !this.editor.contains(range.startContainer)) return false
+
+    range.collapse(true)
+    const selection = window.getSelection()
+    selection.removeAllRanges()
+    selection.addRange(range)
+    return true
+  }
+
   setCaretAtEnd(element) {
     const range = document.createRange()
     const selection = window.getSelection()
@@ -181,6 +291,62 @@ export default class DOMOperations {
     }
   }
 
+  /**
+   * Snapshot the selection boundaries so they survive node moves
+   */
+  saveSelection() {
+    const selection = window.getSelection()
+    if (!selection.rangeCount) return null
+
+    const range = selection.getRangeAt(0)
+    return {
+      startContainer: range.startContainer,
+      startOffset: range.startOffset,
+      endContainer: range.endContainer,
+      endOffset: range.endOffset
+    }
+  }
+
+  restoreSelection(saved) {
+    if (!saved || !this.editor.contains(saved.startContainer) ||
+        !this.editor.contains(saved.endContainer)) {
+      return false
+    }
+    this.selectRange(saved.startContainer, saved.startOffset, saved.endContainer, saved.endOffset)
+    return true
+  }
+
+  /**
+   * Text node and offset for a character position inside an element
+   */
+  findTextPosition(element, position) {
+    const walker = this.createEditableTextWalker(element)
+
+    let currentPos = 0
+    let lastNode = null
+    let node
+
+    while (node = walker.nextNode()) {
+      const nodeLength = node.textContent.length
+      if (currentPos + nodeLength >= position) {
+        return { node, offset: position - currentPos }
+      }
+      currentPos += nodeLength
+      lastNode = node
+    }
+
+    if (lastNode) {
+      return { node: lastNode, offset: lastNode.textContent.length }
+    }
+    return { node: element, offset: 0 }
+  }
+
+  selectTextRange(element, start, end) {
+    const startPosition = this.findTextPosition(element, start)
+    const endPosition = this.findTextPosition(element, end)
+    this.selectRange(startPosition.node, startPosition.offset, endPosition.node, endPosition.offset)
+  }
+
   getAbsoluteCaretPosition() {
     const selection = window.getSelection()
     if (selection.rangeCount === 0) return 0
@@ -193,6 +359,20 @@ export default class DOMOperations {
     return preCaretRange.toString().length
   }
 
+  getTextBeforeCaret(element) {
+    const selection = window.getSelection()
+    if (selection.rangeCount === 0) return ''
+
+    const range = selection.getRangeAt(0)
+    if (!element.contains(range.startContainer)) return ''
+
+    const preCaretRange = range.cloneRange()
+    preCaretRange.selectNodeContents(element)
+    preCaretRange.setEnd(range.startContainer, range.startOffset)
+
+    return preCaretRange.toString()
+  }
+
   setAbsoluteCaretPosition(position) {
     const walker = document.createTreeWalker(
       this.editor,
@@ -228,6 +408,32 @@ export default class DOMOperations {
     return false
   }
 
+  // ========== Structural Moves (No execCommand Equivalent) ==========
+
+  // Plain DOM edits, undone through the EditHistory snapshots around them
+
+  appendChild(parent, child) {
+    return parent.appendChild(child)
+  }
+
+  insertBefore(node, reference) {
+    return reference.parentNode.insertBefore(node, reference)
+  }
+
+  insertAfter(node, reference) {
+    return reference.parentNode.insertBefore(node, reference.nextSibling)
+  }
+
+  setInnerHTML(element, html) {
+    element.innerHTML = html
+  }
+
+  removeNode(node) {
+    if (node.parentNode) {
+      node.parentNode.removeChild(node)
+    }
+  }
+
   // ========== Pure DOM Traversal (No Mutations) ==========
 
   getTextContent(node) {
@@ -277,4 +483,42 @@ export default class DOMOperations {
   createTreeWalker(root, whatToShow = NodeFilter.SHOW_TEXT) {
     return document.createTreeWalker(root, whatToShow, null, false)
   }
+
+  /**
+   * Walker over the text nodes of `root` the caret can reach, skipping the
+   * text of non-editable nodes such as rendered formulas
+   */
+  createEditableTextWalker(root) {
+    return document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        const locked = node.parentElement && node.parentElement.closest('[contenteditable="false"]')
+        return locked && locked !== root && root.contains(locked)
+          ? NodeFilter.FILTER_REJECT
+          : NodeFilter.FILTER_ACCEPT
+      }
+    }, false)
+  }
+
+  /**
+   * Length of the editable text of `root` before a boundary point
+   */
+  getEditableTextOffset(root, node, offset) {
+    const range = document.createRange()
+    range.selectNodeContents(root)
+    range.setEnd(node, offset)
+
+    const walker = this.createEditableTextWalker(root)
+    let length = 0
+    let text
+    while ((text = walker.nextNode()) && range.intersectsNode(text)) {
+      length += text === node ? offset : text.length
+    }
+    return length
+  }
+
+  // ========== HTML Helpers ==========
+
+  escapeHTML(text) {
+    return escapeHTML(text)
+  }
 }
\ No newline at end of file
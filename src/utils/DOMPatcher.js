@@ -0,0 +1,255 @@
+/**
+ * DOMPatcher - Reconciles freshly rendered HTML into the live editor
+ *
+ * Replacing innerHTML drops the selection and every node the browser tracks.
+ * The patcher instead keeps unchanged leading and trailing children, descends
+ * into changed ones of the same tag and only rewrites what actually differs, so
+ * untouched blocks keep their identity. The caret is restored relative to the
+ * block it was in, falling back to its absolute text position.
+ *
+ * Document model edits go through patchDocument, which compares the blocks
+ * before and after and only re-renders the ones that changed.
+ */
+import { sameNode, getContainerTag } from './DocumentModel'
+
+function isBlank(node) {
+  return !!node && node.nodeType === Node.TEXT_NODE && !node.nodeValue.trim()
+}
+
+export default class DOMPatcher {
+  constructor(domOps, blockModel) {
+    this.dom = domOps
+    this.blocks = blockModel
+  }
+
+  /**
+   * Update the editor to `html`, returning the number of nodes touched
+   */
+  patch(html) {
+    const caret = this.captureCaret()
+
+    const source = this.dom.createElement('div')
+    source.innerHTML = html
+    const touched = this.patchChildren(this.dom.editor, source)
+
+    if (caret && touched) {
+      this.restoreCaret(caret)
+    }
+    return touched
+  }
+
+  // ========== Documents ==========
+
+  /**
+   * Bring the editor from document `before`, whose blocks were read from the
+   * DOM `nodes` keyed by path, to document `after`. `render(path, from, to)`
+   * returns the HTML of children `from` to `to` of the block at `path` in
+   * `after`. Unchanged blocks are left alone, markup the model does not know
+   * included. Returns the number of nodes touched.
+   */
+  patchDocument(before, after, nodes, render) {
+    return this.patchBlocks(this.dom.editor, [], before.content, after.content, nodes, render)
+  }
+
+  patchBlocks(container, path, oldBlocks, newBlocks, nodes, render) {
+    let start = 0
+    while (start < oldBlocks.length && start < newBlocks.length && sameNode(oldBlocks[start], newBlocks[start])) {
+      start++
+    }
+
+    let oldEnd = oldBlocks.length
+    let newEnd = newBlocks.length
+    while (oldEnd > start && newEnd > start && sameNode(oldBlocks[oldEnd - 1], newBlocks[newEnd - 1])) {
+      oldEnd--
+      newEnd--
+    }
+    if (start === oldEnd && start === newEnd) return 0
+
+    const nodesOf = index => nodes.get([...path, index].join('.')) || []
+
+    // A single container changed: only its changed children are patched
+    if (oldEnd - start === 1 && newEnd - start === 1) {
+      const oldBlock = oldBlocks[start]
+      const newBlock = newBlocks[start]
+      const [element] = nodesOf(start)
+      const tag = getContainerTag(oldBlock)
+      if (tag && element && element.tagName === tag && nodesOf(start).length === 1 &&
+          oldBlock.type === newBlock.type && sameNode(oldBlock.attrs, newBlock.attrs)) {
+        return this.patchBlocks(element, [...path, start], oldBlock.content, newBlock.content, nodes, render)
+      }
+    }
+
+    const oldNodes = []
+    for (let i = start; i < oldEnd; i++) oldNodes.push(...nodesOf(i))
+
+    const source = this.dom.createElement('div')
+    source.innerHTML = render(path, start, newEnd)
+    const newNodes = Array.from(source.childNodes)
+
+    // One element for another keeps what it can of the old one
+    const newElements = newNodes.filter(node => !isBlank(node))
+    if (oldNodes.length === 1 && newElements.length === 1 && oldNodes[0].nodeType === Node.ELEMENT_NODE) {
+      return this.patchNode(oldNodes[0], newElements[0])
+    }
+
+    const range = document.createRange()
+    if (oldNodes.length) {
+      range.setStartBefore(oldNodes[0])
+      range.setEndAfter(oldNodes[oldNodes.length - 1])
+      range.deleteContents()
+    } else {
+      const previous = start > 0 ? nodesOf(start - 1) : []
+      const next = nodesOf(oldEnd)
+      if (previous.length) {
+        range.setStartAfter(previous[previous.length - 1])
+      } else if (next.length) {
+        range.setStartBefore(next[0])
+      } else {
+        range.selectNodeContents(container)
+        range.collapse(false)
+      }
+    }
+
+    // No second line break next to one already there
+    const { startContainer, startOffset } = range
+    if (isBlank(startContainer.childNodes[startOffset - 1]) && isBlank(newNodes[0])) newNodes.shift()
+    if (isBlank(startContainer.childNodes[startOffset]) && isBlank(newNodes[newNodes.length - 1])) newNodes.pop()
+
+    const fragment = document.createDocumentFragment()
+    newNodes.forEach(node => fragment.appendChild(node))
+    range.insertNode(fragment)
+    return oldNodes.length + newNodes.length
+  }
+
+  // ========== Reconciliation ==========
+
+  patchChildren(target, source) {
+    const oldNodes = Array.from(target.childNodes)
+    const newNodes = Array.from(source.childNodes)
+
+    // Skip the unchanged prefix and suffix
+    let start = 0
+    while (start < oldNodes.length && start < newNodes.length &&
+           oldNodes[start].isEqualNode(newNodes[start])) {
+      start++
+    }
+
+    let oldEnd = oldNodes.length
+    let newEnd = newNodes.length
+    while (oldEnd > start && newEnd > start &&
+           oldNodes[oldEnd - 1].isEqualNode(newNodes[newEnd - 1])) {
+      oldEnd--
+      newEnd--
+    }
+
+    // New nodes go in front of the kept suffix
+    const reference = oldNodes[oldEnd] || null
+    const count = Math.max(oldEnd - start, newEnd - start)
+    let touched = 0
+
+    for (let i = 0; i < count; i++) {
+      const oldNode = oldNodes[start + i]
+      const newNode = newNodes[start + i]
+
+      if (!newNode) {
+        this.dom.removeNode(oldNode)
+        touched++
+      } else if (!oldNode) {
+        target.insertBefore(newNode, reference)
+        touched++
+      } else {
+        touched += this.patchNode(oldNode, newNode)
+      }
+    }
+    return touched
+  }
+
+  patchNode(oldNode, newNode) {
+    if (oldNode.nodeType !== newNode.nodeType || oldNode.nodeName !== newNode.nodeName) {
+      oldNode.parentNode.replaceChild(newNode, oldNode)
+      return 1
+    }
+
+    if (oldNode.nodeType !== Node.ELEMENT_NODE) {
+      if (oldNode.nodeValue === newNode.nodeValue) return 0
+      oldNode.nodeValue = newNode.nodeValue
+      return 1
+    }
+
+    // Highlighted code keeps its markup while the text is the same
+    if (oldNode.tagName === 'PRE' && oldNode.textContent === newNode.textContent) {
+      return this.patchAttributes(oldNode, newNode) +
+        this.patchAttributes(oldNode.firstElementChild || oldNode, newNode.firstElementChild || newNode)
+    }
+
+    return this.patchAttributes(oldNode, newNode) + this.patchChildren(oldNode, newNode)
+  }
+
+  patchAttributes(oldElement, newElement) {
+    let touched = 0
+
+    Array.from(oldElement.attributes).forEach(attribute => {
+      if (!newElement.hasAttribute(attribute.name)) {
+        oldElement.removeAttribute(attribute.name)
+        touched++
+      }
+    })
+    Array.from(newElement.attributes).forEach(attribute => {
+      if (oldElement.getAttribute(attribute.name) !== attribute.value) {
+        oldElement.setAttribute(attribute.name, attribute.value)
+        touched++
+      }
+    })
+
+    // The checked attribute only sets the default state once the user has clicked
+    if (oldElement.tagName === 'INPUT') {
+      oldElement.checked = newElement.hasAttribute('checked')
+    }
+    return touched ? 1 : 0
+  }
+
+  // ========== Caret ==========
+
+  captureCaret() {
+    if (!this.dom.isSelectionInEditor()) return null
+
+    const context = this.dom.getCursorContext()
+    const block = this.findBlock(context.container)
+    const caret = {
+      block,
+      start: 0,
+      end: 0,
+      absolute: this.dom.getAbsoluteCaretPosition()
+    }
+
+    // Block offsets skip non-editable text, as selectTextRange does
+    if (block) {
+      caret.start = this.dom.getEditableTextOffset(block, context.container, context.offset)
+      caret.end = block.contains(context.endContainer)
+        ? this.dom.getEditableTextOffset(block, context.endContainer, context.endOffset)
+        : caret.start
+    }
+    return caret
+  }
+
+  restoreCaret(caret) {
+    const { block } = caret
+
+    if (block && this.dom.editor.contains(block)) {
+      const length = this.dom.getTextContent(block).length
+      this.dom.selectTextRange(block, Math.min(caret.start, length), Math.min(caret.end, length))
+      return true
+    }
+    return this.dom.setAbsoluteCaretPosition(caret.absolute)
+  }
+
+  findBlock(node) {
+    let element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node
+
+    while (element && element !== this.dom.editor) {
+      if (this.blocks.isBlockElement(element)) return element
+      element = this.dom.getParentElement(element)
+    }
+    return null
+  }
+}
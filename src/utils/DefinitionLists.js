@@ -0,0 +1,186 @@
+/**
+ * DefinitionLists - Terms followed by `: definition` lines
+ *
+ *     Term
+ *     : Definition
+ *
+ * The markdown-it rule follows Pandoc and markdown-it-deflist: a term line,
+ * then one or more definitions starting with `:` or `~`, their later lines
+ * indented two spaces. Definitions holding a single paragraph stay tight
+ * (`<dd>text</dd>`). The Turndown rules write definitions with `:`.
+ */
+
+/**
+ * Position after the marker and its space, or -1 when `line` is no definition
+ */
+function skipMarker(state, line) {
+  let start = state.bMarks[line] + state.tShift[line]
+  const max = state.eMarks[line]
+  if (start >= max) return -1
+
+  const marker = state.src.charAt(start++)
+  if (marker !== ':' && marker !== '~') return -1
+
+  // A space after the marker, and something after the space
+  const pos = state.skipSpaces(start)
+  if (pos === start || pos >= max) return -1
+  return start
+}
+
+function markTightParagraphs(state, index) {
+  const level = state.level + 2
+  for (let i = index + 2; i < state.tokens.length - 2; i++) {
+    if (state.tokens[i].level === level && state.tokens[i].type === 'paragraph_open') {
+      state.tokens[i].hidden = true
+      state.tokens[i + 2].hidden = true
+      i += 2
+    }
+  }
+}
+
+function definitionListRule(state, startLine, endLine, silent) {
+  if (silent) {
+    // Only ends a paragraph inside a definition
+    return state.ddIndent >= 0 && skipMarker(state, startLine) >= 0
+  }
+
+  let nextLine = startLine + 1
+  if (nextLine >= endLine) return false
+  if (state.isEmpty(nextLine)) {
+    nextLine++
+    if (nextLine >= endLine) return false
+  }
+  if (state.sCount[nextLine] < state.blkIndent) return false
+
+  let contentStart = skipMarker(state, nextLine)
+  if (contentStart < 0) return false
+
+  const listIndex = state.tokens.length
+  let tight = true
+  const listOpen = state.push('dl_open', 'dl', 1)
+  const listLines = [startLine, 0]
+  listOpen.map = listLines
+
+  let termLine = startLine
+  let definitionLine = nextLine
+
+  for (;;) {
+    let prevEmptyEnd = false
+
+    const termOpen = state.push('dt_open', 'dt', 1)
+    termOpen.map = [termLine, termLine]
+    const term = state.push('inline', '', 0)
+    term.map = [termLine, termLine]
+    term.content = state.getLines(termLine, termLine + 1, state.blkIndent, false).trim()
+    term.children = []
+    state.push('dt_close', 'dt', -1)
+
+    for (;;) {
+      const definitionOpen = state.push('dd_open', 'dd', 1)
+      const itemLines = [nextLine, 0]
+      definitionOpen.map = itemLines
+
+      let pos = contentStart
+      const max = state.eMarks[definitionLine]
+      let offset = state.sCount[definitionLine] + contentStart -
+        (state.bMarks[definitionLine] + state.tShift[definitionLine])
+      while (pos < max && state.md.utils.isSpace(state.src.charCodeAt(pos))) {
+        offset += state.src.charCodeAt(pos) === 0x09 ? 4 - offset % 4 : 1
+        pos++
+      }
+      contentStart = pos
+
+      const oldTight = state.tight
+      const oldDDIndent = state.ddIndent
+      const oldIndent = state.blkIndent
+      const oldTShift = state.tShift[definitionLine]
+      const oldSCount = state.sCount[definitionLine]
+      const oldParentType = state.parentType
+      state.blkIndent = state.ddIndent = state.sCount[definitionLine] + 2
+      state.tShift[definitionLine] = contentStart - state.bMarks[definitionLine]
+      state.sCount[definitionLine] = offset
+      state.tight = true
+      state.parentType = 'deflist'
+
+      state.md.block.tokenize(state, definitionLine, endLine, true)
+
+      // A definition ending in a blank line, unless it ends the list, makes it loose
+      if (!state.tight || prevEmptyEnd) tight = false
+      prevEmptyEnd = (state.line - definitionLine) > 1 && state.isEmpty(state.line - 1)
+
+      state.tShift[definitionLine] = oldTShift
+      state.sCount[definitionLine] = oldSCount
+      state.tight = oldTight
+      state.parentType = oldParentType
+      state.blkIndent = oldIndent
+      state.ddIndent = oldDDIndent
+
+      state.push('dd_close', 'dd', -1)
+      itemLines[1] = nextLine = state.line
+
+      if (nextLine >= endLine || state.sCount[nextLine] < state.blkIndent) break
+      contentStart = skipMarker(state, nextLine)
+      if (contentStart < 0) break
+      definitionLine = nextLine
+    }
+
+    // Another term and its definitions
+    if (nextLine >= endLine || state.isEmpty(nextLine) || state.sCount[nextLine] < state.blkIndent) break
+    termLine = nextLine
+    definitionLine = termLine + 1
+    if (definitionLine < endLine && state.isEmpty(definitionLine)) definitionLine++
+    if (definitionLine >= endLine || state.sCount[definitionLine] < state.blkIndent) break
+    contentStart = skipMarker(state, definitionLine)
+    if (contentStart < 0) break
+    nextLine = definitionLine
+  }
+
+  state.push('dl_close', 'dl', -1)
+  listLines[1] = nextLine
+  state.line = nextLine
+
+  if (tight) markTightParagraphs(state, listIndex)
+  return true
+}
+
+export function definitionListPlugin(md) {
+  md.block.ruler.before('paragraph', 'deflist', definitionListRule, {
+    alt: ['paragraph', 'reference', 'blockquote']
+  })
+}
+
+function trimNewlines(text) {
+  return text.replace(/^\n+|\n+$/g, '')
+}
+
+export function addDefinitionListRules(turndownService) {
+  turndownService.addRule('definitionList', {
+    filter: 'dl',
+    replacement: function (content) {
+      return '\n\n' + trimNewlines(content) + '\n\n'
+    }
+  })
+
+  turndownService.addRule('definitionTerm', {
+    filter: 'dt',
+    replacement: function (content) {
+      return '\n\n' + content.trim() + '\n'
+    }
+  })
+
+  turndownService.addRule('definitionDescription', {
+    filter: 'dd',
+    replacement: function (content) {
+      const lines = trimNewlines(content).split('\n')
+      return '\n: ' + lines[0] + lines.slice(1).map(line => line ? '\n  ' + line : '\n').join('') + '\n'
+    }
+  })
+}
+
+export const definitionLists = {
+  name: 'definitionLists',
+  markdownIt: definitionListPlugin,
+  turndown: addDefinitionListRules,
+  blockTags: ['DT', 'DD'],
+  containerTags: ['DL']
+}
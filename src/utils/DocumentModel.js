@@ -0,0 +1,1425 @@
+/**
+ * DocumentModel - In-memory markdown document tree
+ *
+ * Documents are plain data: blocks `{ type, attrs, content }` where containers
+ * hold child blocks and textblocks (paragraph, heading, table_cell) hold inline
+ * nodes - text, hard_break, image, math_inline and html_inline - each carrying
+ * its marks. Code blocks keep their `text` as is; rules, image blocks and math
+ * blocks are atomic. Elements of editor plugins (definition lists, footnotes)
+ * are element_container and element_textblock blocks keeping their tag and
+ * attributes, and inline ones are html_inline.
+ *
+ * Markup the model has no node for is kept rather than dropped: unknown block
+ * elements and blocks with foreign attributes become html_block with their
+ * outerHTML, and unknown inline elements become an `html` mark around their
+ * text, or html_inline when they hold none.
+ *
+ * A tree is parsed from markdown-it tokens or from editor DOM, serialized to
+ * markdown and rendered to HTML shaped like markdown-it output. Editing
+ * operations are transforms `(doc, position) => { doc, selection } | null`
+ * where positions are `{ path, offset }`: the child indexes leading to a
+ * textblock and a text offset inside it. Nothing here touches the live editor.
+ */
+import { TASK_ITEM_CLASS, TASK_CHECKBOX_CLASS, taskCheckboxHTML } from './TaskLists'
+import { LANGUAGE_CLASS_PREFIX, getCodeLanguage } from './CodeBlocks'
+import { ALIGNMENT_MARKERS, getCellAlignment } from './Tables'
+import { imageBlockHTML, imageMarkdown, isImageBlock, getImageAttrs } from './Images'
+import { mathHTML, mathMarkdown, isMathBlock, isMathInline, getMathSource } from './Math'
+import { escapeHTML } from './DOMOperations'
+
+export const TEXTBLOCK_TYPES = ['paragraph', 'heading', 'table_cell', 'element_textblock']
+const LIST_TYPES = ['bullet_list', 'ordered_list']
+const JOINABLE_TYPES = ['bullet_list', 'ordered_list', 'blockquote']
+const PRUNABLE_TYPES = [...JOINABLE_TYPES, 'list_item']
+// Removed whole by Backspace or Delete next to them
+const ATOMIC_TYPES = ['horizontal_rule', 'image_block', 'math_block']
+
+// Outermost first, so links wrap emphasis and code sits innermost. `html`
+// marks keep unknown inline elements around their text.
+const MARK_ORDER = ['link', 'html', 'strong', 'em', 'strike', 'code']
+
+const MARK_TOKENS = {
+  strong_open: 'strong',
+  em_open: 'em',
+  s_open: 'strike',
+  link_open: 'link'
+}
+
+const MARK_ELEMENTS = {
+  STRONG: 'strong',
+  B: 'strong',
+  EM: 'em',
+  I: 'em',
+  S: 'strike',
+  DEL: 'strike',
+  STRIKE: 'strike',
+  CODE: 'code',
+  A: 'link'
+}
+
+const HTML_MARKS = {
+  strong: ['<strong>', '</strong>'],
+  em: ['<em>', '</em>'],
+  strike: ['<s>', '</s>'],
+  code: ['<code>', '</code>']
+}
+
+const MARKDOWN_MARKS = {
+  strong: '**',
+  em: '_',
+  strike: '~~'
+}
+
+// ========== Construction ==========
+
+export function createBlock(type, attrs = {}, content = []) {
+  return { type, attrs, content }
+}
+
+export function createText(text, marks = []) {
+  return { type: 'text', text, marks }
+}
+
+export function isTextblock(node) {
+  return !!node && TEXTBLOCK_TYPES.includes(node.type)
+}
+
+function cloneDocument(doc) {
+  return JSON.parse(JSON.stringify(doc))
+}
+
+/**
+ * Whether two nodes (or attribute sets) are equal, content included
+ */
+export function sameNode(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+function sameMark(a, b) {
+  if (a.type !== b.type) return false
+  if (a.type === 'html') return sameNode(a.attrs, b.attrs)
+  if (a.type !== 'link') return true
+  return a.attrs.href === b.attrs.href && (a.attrs.title || '') === (b.attrs.title || '')
+}
+
+function sameMarks(a, b) {
+  return a.length === b.length && a.every(mark => b.some(other => sameMark(mark, other)))
+}
+
+function sortMarks(marks) {
+  return marks.slice().sort((a, b) => MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type))
+}
+
+/**
+ * Merge adjacent text nodes with equal marks and drop empty ones
+ */
+export function normalizeInline(nodes) {
+  const result = []
+  nodes.forEach(node => {
+    if (node.type === 'text' && !node.text) return
+
+    const last = result[result.length - 1]
+    if (node.type === 'text' && last && last.type === 'text' && sameMarks(last.marks, node.marks)) {
+      last.text += node.text
+    } else {
+      result.push({ ...node, marks: sortMarks(node.marks || []) })
+    }
+  })
+  return result
+}
+
+// ========== Parsing: markdown-it ==========
+
+/**
+ * Build a document from markdown using a configured markdown-it instance
+ */
+export function parseMarkdown(md, markdown) {
+  return parseTokens(md.parse(markdown || '', {}), md)
+}
+
+/**
+ * Tokens of markdown-it plugins become element blocks, and leaf tokens are
+ * kept as the HTML `md` renders for them
+ */
+export function parseTokens(tokens, md = null) {
+  const doc = createBlock('doc')
+  const stack = [doc]
+  const top = () => stack[stack.length - 1]
+  const open = node => {
+    top().content.push(node)
+    stack.push(node)
+  }
+
+  tokens.forEach((token, index) => {
+    switch (token.type) {
+      case 'heading_open':
+        open(createBlock('heading', { level: parseInt(token.tag.substring(1), 10) }))
+        break
+      case 'paragraph_open':
+        // The tight paragraph of a plugin element holding only text
+        if (token.hidden && top().type === 'element_textblock') break
+        if (token.hidden && LIST_TYPES.includes(stack[stack.length - 2].type)) {
+          stack[stack.length - 2].attrs.tight = true
+        }
+        open(createBlock('paragraph'))
+        break
+      case 'blockquote_open':
+        open(createBlock('blockquote'))
+        break
+      case 'bullet_list_open':
+        open(createBlock('bullet_list', { tight: false }))
+        break
+      case 'ordered_list_open':
+        open(createBlock('ordered_list', { tight: false, start: parseInt(token.attrGet('start') || '1', 10) }))
+        break
+      case 'list_item_open':
+        open(createBlock('list_item', { checked: null }))
+        break
+      case 'table_open':
+        open(createBlock('table'))
+        break
+      case 'tr_open':
+        open(createBlock('table_row'))
+        break
+      case 'th_open':
+      case 'td_open':
+        open(createBlock('table_cell', {
+          header: token.type === 'th_open',
+          align: tokenAlignment(token)
+        }))
+        break
+
+      case 'thead_open':
+      case 'thead_close':
+      case 'tbody_open':
+      case 'tbody_close':
+        break
+
+      case 'paragraph_close':
+        if (!(token.hidden && top().type === 'element_textblock')) stack.pop()
+        break
+      case 'heading_close':
+      case 'blockquote_close':
+      case 'bullet_list_close':
+      case 'ordered_list_close':
+      case 'list_item_close':
+      case 'table_close':
+      case 'tr_close':
+      case 'th_close':
+      case 'td_close':
+        stack.pop()
+        break
+
+      case 'inline':
+        top().content = parseInlineTokens(token.children || [], stack, md)
+        break
+      case 'fence':
+      case 'code_block':
+        top().content.push(createCodeBlock(token.info ? token.info.trim().split(/\s+/)[0] : '', token.content))
+        break
+      case 'hr':
+        top().content.push(createBlock('horizontal_rule'))
+        break
+      case 'html_block':
+        top().content.push(createBlock('html_block', { html: token.content }))
+        break
+      case 'math_block':
+        top().content.push(createBlock('math_block', { tex: token.content }))
+        break
+      case 'image_block':
+        top().content.push(createBlock('image_block', {
+          src: token.attrGet('src'),
+          alt: token.content,
+          title: token.attrGet('title') || '',
+          upload: null
+        }))
+        break
+
+      default:
+        if (token.nesting === 1) {
+          const type = holdsInlineOnly(tokens, index) ? 'element_textblock' : 'element_container'
+          open(createBlock(type, { tag: token.tag, attributes: Object.fromEntries(token.attrs || []) }))
+        } else if (token.nesting === -1) {
+          stack.pop()
+        } else if (md) {
+          top().content.push(createBlock('html_block', { html: md.renderer.render([token], md.options, {}) }))
+        }
+    }
+  })
+
+  return doc
+}
+
+/**
+ * Whether the element opened at `index` holds nothing but inline content,
+ * directly or in a tight paragraph
+ */
+function holdsInlineOnly(tokens, index) {
+  const isClose = token => !!token && token.nesting === -1 && token.level === tokens[index].level
+  const next = tokens[index + 1]
+  if (!next) return false
+  if (next.type === 'inline') return isClose(tokens[index + 2])
+  return next.type === 'paragraph_open' && next.hidden && isClose(tokens[index + 4])
+}
+
+function createCodeBlock(language, text) {
+  return { type: 'code_block', attrs: { language }, text: text.replace(/\n$/, '') }
+}
+
+function tokenAlignment(token) {
+  const match = (token.attrGet('style') || '').match(/text-align:\s*(\w+)/)
+  return match ? match[1] : 'none'
+}
+
+function parseInlineTokens(tokens, stack, md) {
+  const nodes = []
+  let marks = []
+  const withMark = mark => { marks = [...marks, mark] }
+  const withoutMark = type => {
+    const index = marks.map(mark => mark.type).lastIndexOf(type)
+    if (index !== -1) marks = marks.filter((mark, i) => i !== index)
+  }
+
+  tokens.forEach((token, index) => {
+    if (MARK_TOKENS[token.type]) {
+      const type = MARK_TOKENS[token.type]
+      withMark(type === 'link'
+        ? { type, attrs: { href: token.attrGet('href'), title: token.attrGet('title') || '' } }
+        : { type })
+      return
+    }
+
+    switch (token.type) {
+      case 'strong_close': withoutMark('strong'); break
+      case 'em_close': withoutMark('em'); break
+      case 's_close': withoutMark('strike'); break
+      case 'link_close': withoutMark('link'); break
+      case 'text':
+        nodes.push(createText(token.content, marks))
+        break
+      case 'code_inline':
+        nodes.push(createText(token.content, [...marks, { type: 'code' }]))
+        break
+      case 'softbreak':
+      case 'hardbreak':
+        nodes.push({ type: 'hard_break', marks })
+        break
+      case 'image':
+        nodes.push({
+          type: 'image',
+          attrs: { src: token.attrGet('src'), alt: token.content, title: token.attrGet('title') || '' },
+          marks
+        })
+        break
+      case 'math_inline':
+        nodes.push({ type: 'math_inline', attrs: { tex: token.content }, marks })
+        break
+      case 'html_inline':
+        // The task list plugin puts the checkbox first in the item's paragraph
+        if (index === 0 && token.content.includes(TASK_CHECKBOX_CLASS)) {
+          const item = stack[stack.length - 2]
+          if (item && item.type === 'list_item') {
+            item.attrs.checked = /\schecked/.test(token.content)
+            return
+          }
+        }
+        nodes.push({ type: 'html_inline', attrs: { html: token.content }, marks })
+        break
+      default:
+        if (md && token.nesting === 0) {
+          nodes.push({ type: 'html_inline', attrs: { html: md.renderer.renderInline([token], md.options, {}) }, marks })
+        }
+    }
+  })
+
+  return normalizeInline(nodes)
+}
+
+// ========== Parsing: DOM ==========
+
+const DOM_BLOCK_TAGS = ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'PRE', 'BLOCKQUOTE', 'UL', 'OL', 'LI', 'TABLE', 'HR', 'FIGURE']
+
+// Block-level HTML with no block type, kept as raw html_block
+const HTML_BLOCK_TAGS = [
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'AUDIO', 'CANVAS', 'CENTER', 'DD', 'DETAILS', 'DIALOG', 'DL', 'DT', 'FIELDSET',
+  'FIGCAPTION', 'FOOTER', 'FORM', 'HEADER', 'HGROUP', 'IFRAME', 'MAIN', 'MENU', 'NAV', 'NOSCRIPT', 'OBJECT',
+  'SECTION', 'SUMMARY', 'VIDEO'
+]
+
+// Blocks the model writes without attributes, but for the start of a list.
+// Any other attribute keeps them as raw HTML.
+const PLAIN_BLOCK_TAGS = ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'UL', 'OL']
+const MODEL_ATTRIBUTES = { OL: ['start'] }
+
+function hasTag(tags, element) {
+  return !!tags && tags.includes(element.tagName)
+}
+
+function isDOMBlock(node, tags = {}) {
+  return node.nodeType === 1 && (DOM_BLOCK_TAGS.includes(node.tagName) || HTML_BLOCK_TAGS.includes(node.tagName) ||
+    hasTag(tags.blockTags, node) || hasTag(tags.containerTags, node))
+}
+
+function holdsBlocks(element, tags) {
+  return Array.from(element.childNodes).some(child => isDOMBlock(child, tags))
+}
+
+function hasForeignAttributes(element) {
+  const known = MODEL_ATTRIBUTES[element.tagName] || []
+  return Array.from(element.attributes).some(attribute => !known.includes(attribute.name))
+}
+
+function isTaskCheckbox(node) {
+  return node.nodeType === 1 && node.tagName === 'INPUT' && node.classList.contains(TASK_CHECKBOX_CLASS)
+}
+
+function elementAttrs(element) {
+  return {
+    tag: element.tagName.toLowerCase(),
+    attributes: Object.fromEntries(Array.from(element.attributes).map(attribute => [attribute.name, attribute.value]))
+  }
+}
+
+/**
+ * Build a document from editor DOM. Known tags carry meaning, and so do the
+ * `blockTags`, `containerTags` and `inlineTags` of editor plugins. Bare spans
+ * and DIV wrappers are unwrapped; any other markup is kept as raw HTML, whole
+ * for blocks and as an `html` mark around inline text, so re-rendering never
+ * loses it. Returns the document, the DOM element of each textblock and the
+ * DOM nodes each block was read from, both keyed by path.
+ */
+export function parseDOM(root, tags = {}) {
+  const context = { elements: new Map(), nodes: new Map(), tags }
+  const doc = createBlock('doc', {}, parseDOMBlocks(root, [], context))
+  return { doc, elements: context.elements, nodes: context.nodes }
+}
+
+function parseDOMBlocks(parent, path, context, blocks = []) {
+  let inline = []
+
+  const add = (block, nodes) => {
+    context.nodes.set([...path, blocks.length].join('.'), nodes)
+    blocks.push(block)
+  }
+
+  const flushInline = () => {
+    if (inline.some(node => node.nodeType === 1 || node.textContent.trim())) {
+      context.elements.set([...path, blocks.length].join('.'), parent)
+      // The task checkbox belongs to the list item, not its text
+      add(createBlock('paragraph', {}, parseDOMInline(inline, context.tags)), inline.filter(node => !isTaskCheckbox(node)))
+    }
+    inline = []
+  }
+
+  Array.from(parent.childNodes).forEach(node => {
+    if (!isDOMBlock(node, context.tags)) {
+      inline.push(node)
+      return
+    }
+    flushInline()
+
+    // A bare DIV holding blocks is only a wrapper
+    if (node.tagName === 'DIV' && !node.attributes.length && holdsBlocks(node, context.tags)) {
+      parseDOMBlocks(node, path, context, blocks)
+      return
+    }
+    const block = parseDOMBlock(node, [...path, blocks.length], context)
+    if (block) add(block, [node])
+  })
+  flushInline()
+
+  return blocks
+}
+
+function parseDOMBlock(element, path, context) {
+  const { elements, tags } = context
+  const tag = element.tagName
+
+  if (isMathBlock(element)) {
+    return createBlock('math_block', { tex: getMathSource(element) })
+  }
+
+  // Plugin textblocks holding paragraphs, as loose list items do, are containers
+  if (hasTag(tags.containerTags, element) || (hasTag(tags.blockTags, element) && holdsBlocks(element, tags))) {
+    return createBlock('element_container', elementAttrs(element), parseDOMBlocks(element, path, context))
+  }
+  if (hasTag(tags.blockTags, element)) {
+    elements.set(path.join('.'), element)
+    return createBlock('element_textblock', elementAttrs(element), parseDOMInline(element.childNodes, tags))
+  }
+
+  if (HTML_BLOCK_TAGS.includes(tag) || (PLAIN_BLOCK_TAGS.includes(tag) && hasForeignAttributes(element)) ||
+      (tag === 'FIGURE' && !isImageBlock(element))) {
+    return createBlock('html_block', { html: element.outerHTML })
+  }
+
+  if (tag === 'P' || tag === 'DIV' || /^H[1-6]$/.test(tag)) {
+    elements.set(path.join('.'), element)
+    const attrs = tag.charAt(0) === 'H' ? { level: parseInt(tag.substring(1), 10) } : {}
+    return createBlock(tag.charAt(0) === 'H' ? 'heading' : 'paragraph', attrs, parseDOMInline(element.childNodes, tags))
+  }
+
+  switch (tag) {
+    case 'PRE': {
+      const code = element.firstElementChild && element.firstElementChild.tagName === 'CODE'
+        ? element.firstElementChild
+        : element
+      return createCodeBlock(getCodeLanguage(code), element.textContent)
+    }
+    case 'HR':
+      return createBlock('horizontal_rule')
+    case 'FIGURE':
+      return createBlock('image_block', getImageAttrs(element))
+    case 'BLOCKQUOTE':
+      return createBlock('blockquote', {}, parseDOMBlocks(element, path, context))
+    case 'UL':
+    case 'OL': {
+      const items = Array.from(element.children).filter(child => child.tagName === 'LI')
+      const list = createBlock(tag === 'UL' ? 'bullet_list' : 'ordered_list', {
+        tight: !items.some(item => Array.from(item.children).some(child => child.tagName === 'P'))
+      })
+      if (tag === 'OL') list.attrs.start = parseInt(element.getAttribute('start') || '1', 10)
+      list.content = items.map((item, index) => parseDOMListItem(item, [...path, index], context))
+      return list
+    }
+    case 'LI':
+      return createBlock('bullet_list', { tight: true }, [parseDOMListItem(element, [...path, 0], context)])
+    case 'TABLE': {
+      const rows = Array.from(element.rows).map((row, rowIndex) => createBlock('table_row', {},
+        Array.from(row.cells).map((cell, cellIndex) => {
+          elements.set([...path, rowIndex, cellIndex].join('.'), cell)
+          return createBlock('table_cell', {
+            header: cell.tagName === 'TH',
+            align: getCellAlignment(cell)
+          }, parseDOMInline(cell.childNodes, tags))
+        })))
+      return createBlock('table', {}, rows)
+    }
+  }
+  return null
+}
+
+function parseDOMListItem(item, path, context) {
+  const checkbox = Array.from(item.querySelectorAll('input')).find(input =>
+    isTaskCheckbox(input) && input.closest('li') === item)
+
+  context.nodes.set(path.join('.'), [item])
+  const content = parseDOMBlocks(item, path, context)
+  if (!content.length) {
+    context.elements.set([...path, 0].join('.'), item)
+    context.nodes.set([...path, 0].join('.'), [])
+    content.push(createBlock('paragraph'))
+  }
+
+  return createBlock('list_item', { checked: checkbox ? checkbox.hasAttribute('checked') : null }, content)
+}
+
+function parseDOMInline(childNodes, tags = {}) {
+  const nodes = []
+
+  const walk = (node, marks) => {
+    if (node.nodeType === 3) {
+      nodes.push(createText(node.nodeValue, marks))
+      return
+    }
+    if (node.nodeType !== 1) return
+
+    const tag = node.tagName
+    if (tag === 'BR') {
+      nodes.push({ type: 'hard_break', marks })
+      return
+    }
+    if (tag === 'IMG') {
+      nodes.push({
+        type: 'image',
+        attrs: { src: node.getAttribute('src') || '', alt: node.getAttribute('alt') || '', title: node.getAttribute('title') || '' },
+        marks
+      })
+      return
+    }
+    if (isMathInline(node)) {
+      nodes.push({ type: 'math_inline', attrs: { tex: getMathSource(node) }, marks })
+      return
+    }
+    if (isTaskCheckbox(node)) return
+
+    const markType = MARK_ELEMENTS[tag]
+    const bareSpan = tag === 'SPAN' && !node.attributes.length
+    if (!markType && !bareSpan &&
+        (hasTag(tags.inlineTags, node) || node.getAttribute('contenteditable') === 'false' || !node.hasChildNodes())) {
+      // Plugin elements and other non-editable or empty ones are kept whole
+      nodes.push({ type: 'html_inline', attrs: { html: node.outerHTML }, marks })
+      return
+    }
+
+    let childMarks = marks
+    if (markType && !marks.some(mark => mark.type === markType)) {
+      const mark = markType === 'link'
+        ? { type: 'link', attrs: { href: node.getAttribute('href') || '', title: node.getAttribute('title') || '' } }
+        : { type: markType }
+      childMarks = [...marks, mark]
+    } else if (!markType && !bareSpan) {
+      childMarks = [...marks, { type: 'html', attrs: elementAttrs(node) }]
+    }
+    Array.from(node.childNodes).forEach(child => walk(child, childMarks))
+  }
+
+  Array.from(childNodes).forEach(node => walk(node, []))
+
+  // A trailing <br> only keeps an empty line open in contenteditable
+  if (nodes.length && nodes[nodes.length - 1].type === 'hard_break') nodes.pop()
+
+  return normalizeInline(nodes)
+}
+
+// ========== Inline Grouping ==========
+
+/**
+ * Walk inline nodes as a tree of mark runs: consecutive nodes sharing their
+ * outermost mark are wrapped once, so `**a _b_**` keeps one strong run.
+ */
+function serializeMarkRuns(nodes, wrap, leaf, depth = 0) {
+  let output = ''
+  let i = 0
+
+  while (i < nodes.length) {
+    const node = nodes[i]
+    const mark = sortMarks(node.marks || [])[0]
+
+    if (!mark) {
+      output += leaf(node)
+      i++
+      continue
+    }
+
+    let end = i + 1
+    while (end < nodes.length && (nodes[end].marks || []).some(other => sameMark(other, mark))) {
+      end++
+    }
+
+    const inner = nodes.slice(i, end).map(child => ({
+      ...child,
+      marks: child.marks.filter(other => !sameMark(other, mark))
+    }))
+    output += wrap(mark, inner, depth)
+    i = end
+  }
+
+  return output
+}
+
+// ========== Parsing: plain text ==========
+
+/**
+ * Build a document from plain text without reading it as markdown: blank
+ * lines separate paragraphs and other line breaks become hard breaks
+ */
+export function parseText(text) {
+  const paragraphs = (text || '').replace(/\r\n?/g, '\n').split(/\n\s*\n/)
+  const content = paragraphs
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => {
+      const nodes = []
+      paragraph.replace(/^\n+|\n+$/g, '').split('\n').forEach((line, index) => {
+        if (index) nodes.push({ type: 'hard_break', marks: [] })
+        nodes.push(createText(line))
+      })
+      return createBlock('paragraph', {}, normalizeInline(nodes))
+    })
+  return createBlock('doc', {}, content)
+}
+
+// ========== Serialization: Markdown ==========
+
+export function serializeMarkdown(doc) {
+  return serializeBlocks(doc.content).replace(/\n{3,}/g, '\n\n').trim()
+}
+
+function serializeBlocks(blocks, tight = false) {
+  return blocks.map(serializeBlock).filter(text => text !== null).join(tight ? '\n' : '\n\n')
+}
+
+function serializeBlock(block) {
+  switch (block.type) {
+    case 'paragraph':
+      return serializeInline(block.content)
+    case 'heading':
+      return '#'.repeat(block.attrs.level) + ' ' + serializeInline(block.content)
+    case 'code_block': {
+      let fenceSize = 3
+      const runs = block.text.match(/^`{3,}/gm) || []
+      runs.forEach(run => { fenceSize = Math.max(fenceSize, run.length + 1) })
+      const fence = '`'.repeat(fenceSize)
+      return fence + (block.attrs.language || '') + '\n' + block.text + '\n' + fence
+    }
+    case 'blockquote':
+      return serializeBlocks(block.content)
+        .split('\n')
+        .map(line => line ? '> ' + line : '>')
+        .join('\n')
+    case 'bullet_list':
+    case 'ordered_list':
+      return serializeList(block)
+    case 'table':
+      return serializeTable(block)
+    case 'horizontal_rule':
+      return '---'
+    case 'math_block':
+      return mathMarkdown(block.attrs.tex, true)
+    case 'image_block':
+      // Placeholders of running uploads have no URL to write yet
+      return block.attrs.upload ? null : imageMarkdown(block.attrs)
+    case 'html_block':
+      return block.attrs.html.replace(/\n+$/, '')
+    // Written by the plugin's Turndown rules; only their text is kept here
+    case 'element_container':
+      return serializeBlocks(block.content)
+    case 'element_textblock':
+      return serializeInline(block.content)
+  }
+  return null
+}
+
+function serializeList(list) {
+  const ordered = list.type === 'ordered_list'
+  const start = ordered ? list.attrs.start || 1 : 1
+
+  return list.content.map((item, index) => {
+    const marker = ordered ? `${start + index}. ` : '- '
+    const indent = ' '.repeat(marker.length)
+    const task = item.attrs.checked === null || item.attrs.checked === undefined
+      ? ''
+      : (item.attrs.checked ? '[x] ' : '[ ] ')
+
+    const body = serializeBlocks(item.content, list.attrs.tight)
+    const lines = (task + body).split('\n')
+    return marker + lines[0] + lines.slice(1).map(line => line ? '\n' + indent + line : '\n').join('')
+  }).join(list.attrs.tight ? '\n' : '\n\n')
+}
+
+function serializeTable(table) {
+  const lines = []
+  table.content.forEach((row, index) => {
+    const cells = row.content.map(cell =>
+      serializeInline(cell.content, { inTable: true }).replace(/\|/g, '\\|'))
+    lines.push('| ' + cells.join(' | ') + ' |')
+
+    if (index === 0) {
+      const markers = row.content.map(cell => ALIGNMENT_MARKERS[cell.attrs.align] || ALIGNMENT_MARKERS.none)
+      lines.push('| ' + markers.join(' | ') + ' |')
+    }
+  })
+  return lines.join('\n')
+}
+
+export function serializeInline(nodes, options = {}) {
+  const leaf = node => {
+    switch (node.type) {
+      case 'text': return escapeMarkdown(node.text)
+      case 'hard_break': return options.inTable ? '<br>' : '  \n'
+      case 'image': return `![${escapeMarkdown(node.attrs.alt)}](${node.attrs.src}${linkTitle(node.attrs.title)})`
+      case 'math_inline': return mathMarkdown(node.attrs.tex, false)
+      case 'html_inline': return node.attrs.html
+    }
+    return ''
+  }
+
+  const wrap = (mark, inner) => {
+    if (mark.type === 'code') {
+      const code = inner.map(node => node.type === 'text' ? node.text : '').join('')
+      const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length))
+      const ticks = '`'.repeat(longest + 1)
+      const pad = code.startsWith('`') || code.endsWith('`') ? ' ' : ''
+      return ticks + pad + code + pad + ticks
+    }
+
+    const content = serializeMarkRuns(inner, wrap, leaf)
+    if (mark.type === 'link') {
+      return `[${content}](${mark.attrs.href}${linkTitle(mark.attrs.title)})`
+    }
+    if (mark.type === 'html') return renderElement(mark.attrs, content)
+
+    // Delimiters cannot sit next to the whitespace they enclose
+    const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/)
+    if (!match[2]) return content
+    const delimiter = MARKDOWN_MARKS[mark.type]
+    return match[1] + delimiter + match[2] + delimiter + match[3]
+  }
+
+  return serializeMarkRuns(nodes, wrap, leaf)
+}
+
+function linkTitle(title) {
+  return title ? ` "${title.replace(/"/g, '\\"')}"` : ''
+}
+
+function escapeMarkdown(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/([*_`[\]])/g, '\\$1')
+    .replace(/^(#{1,6} |>|[-+] |(\d+)\. )/gm, match => '\\' + match)
+}
+
+// ========== Rendering: HTML ==========
+
+/**
+ * HTML in the shape markdown-it produces, with `<br>` in empty textblocks so
+ * the caret can enter them. `options.renderMath(tex, displayMode)` draws
+ * formulas as the markdown-it math plugin does.
+ */
+export function renderHTML(doc, options = {}) {
+  return doc.content.map(block => renderBlock(block, false, options)).join('')
+}
+
+/**
+ * HTML of children `from` to `to` of the block at `path`, as renderHTML
+ * writes them inside it
+ */
+export function renderChildren(doc, path, from, to, options = {}) {
+  const parent = getNode(doc, path)
+  const children = parent.content.slice(from, to)
+  if (LIST_TYPES.includes(parent.type)) {
+    return children.map(item => renderListItem(item, parent.attrs.tight, options)).join('')
+  }
+
+  const tight = parent.type === 'list_item' && getNode(doc, path.slice(0, -1)).attrs.tight
+  return children.map((child, index) => {
+    const html = renderBlock(child, tight, options)
+    return tight && from + index > 0 && child.type !== 'paragraph' ? '\n' + html : html
+  }).join('')
+}
+
+/**
+ * Tag of the element holding the children of a container block, or null for
+ * blocks whose children are not elements of their own
+ */
+export function getContainerTag(block) {
+  switch (block.type) {
+    case 'blockquote': return 'BLOCKQUOTE'
+    case 'bullet_list': return 'UL'
+    case 'ordered_list': return 'OL'
+    case 'list_item': return 'LI'
+    case 'element_container': return block.attrs.tag.toUpperCase()
+  }
+  return null
+}
+
+function renderBlock(block, tight = false, options = {}) {
+  switch (block.type) {
+    case 'paragraph':
+      return tight ? renderInline(block.content, options) : `<p>${renderInline(block.content, options)}</p>\n`
+    case 'heading':
+      return `<h${block.attrs.level}>${renderInline(block.content, options)}</h${block.attrs.level}>\n`
+    case 'code_block': {
+      const language = block.attrs.language
+        ? ` class="${LANGUAGE_CLASS_PREFIX}${escapeHTML(block.attrs.language)}"`
+        : ''
+      return `<pre><code${language}>${escapeHTML(block.text)}\n</code></pre>\n`
+    }
+    case 'blockquote':
+      return `<blockquote>\n${block.content.map(child => renderBlock(child, false, options)).join('')}</blockquote>\n`
+    case 'bullet_list':
+    case 'ordered_list': {
+      const tag = block.type === 'bullet_list' ? 'ul' : 'ol'
+      const start = tag === 'ol' && block.attrs.start && block.attrs.start !== 1 ? ` start="${block.attrs.start}"` : ''
+      const items = block.content.map(item => renderListItem(item, block.attrs.tight, options)).join('')
+      return `<${tag}${start}>\n${items}</${tag}>\n`
+    }
+    case 'table':
+      return renderTable(block, options)
+    case 'horizontal_rule':
+      return '<hr>\n'
+    case 'math_block':
+      return mathHTML(block.attrs.tex, true, options.renderMath) + '\n'
+    case 'image_block':
+      return imageBlockHTML(block.attrs) + '\n'
+    case 'html_block':
+      return block.attrs.html
+    case 'element_container': {
+      const children = block.content.map(child => renderBlock(child, false, options)).join('')
+      return `<${block.attrs.tag}${renderAttributes(block.attrs.attributes)}>\n${children}</${block.attrs.tag}>\n`
+    }
+    case 'element_textblock':
+      return `<${block.attrs.tag}${renderAttributes(block.attrs.attributes)}>` +
+        `${renderInline(block.content, options)}</${block.attrs.tag}>\n`
+  }
+  return ''
+}
+
+function renderAttributes(attributes) {
+  return Object.keys(attributes || {}).map(name => ` ${name}="${escapeHTML(attributes[name])}"`).join('')
+}
+
+function renderElement({ tag, attributes }, content) {
+  return `<${tag}${renderAttributes(attributes)}>${content}</${tag}>`
+}
+
+function renderListItem(item, tight, options) {
+  const task = item.attrs.checked !== null && item.attrs.checked !== undefined
+  const className = task ? ` class="${TASK_ITEM_CLASS}"` : ''
+  const checkbox = task ? taskCheckboxHTML(item.attrs.checked) : ''
+
+  const body = item.content.map((child, index) => {
+    const html = renderBlock(child, tight, options)
+    // Nested blocks of a tight item start on their own line, as in markdown-it
+    return tight && index > 0 && child.type !== 'paragraph' ? '\n' + html : html
+  }).join('')
+
+  if (tight) {
+    return `<li${className}>${checkbox}${body}</li>\n`
+  }
+  return `<li${className}>\n${checkbox}${body}</li>\n`
+}
+
+function renderTable(table, options) {
+  const renderRow = row => '<tr>\n' + row.content.map(cell => {
+    const tag = cell.attrs.header ? 'th' : 'td'
+    const style = cell.attrs.align && cell.attrs.align !== 'none' ? ` style="text-align:${cell.attrs.align}"` : ''
+    return `<${tag}${style}>${renderInline(cell.content, options)}</${tag}>\n`
+  }).join('') + '</tr>\n'
+
+  const [head, ...body] = table.content
+  let html = '<table>\n'
+  if (head) html += `<thead>\n${renderRow(head)}</thead>\n`
+  if (body.length) html += `<tbody>\n${body.map(renderRow).join('')}</tbody>\n`
+  return html + '</table>\n'
+}
+
+export function renderInline(nodes, options = {}) {
+  if (!nodes.length) return '<br>'
+
+  const leaf = node => {
+    switch (node.type) {
+      case 'text': return escapeHTML(node.text)
+      case 'hard_break': return '<br>\n'
+      case 'image': {
+        const title = node.attrs.title ? ` title="${escapeHTML(node.attrs.title)}"` : ''
+        return `<img src="${escapeHTML(node.attrs.src)}" alt="${escapeHTML(node.attrs.alt)}"${title}>`
+      }
+      case 'math_inline': return mathHTML(node.attrs.tex, false, options.renderMath)
+      case 'html_inline': return node.attrs.html
+    }
+    return ''
+  }
+
+  const wrap = (mark, inner) => {
+    const content = serializeMarkRuns(inner, wrap, leaf)
+    if (mark.type === 'link') {
+      const title = mark.attrs.title ? ` title="${escapeHTML(mark.attrs.title)}"` : ''
+      return `<a href="${escapeHTML(mark.attrs.href)}"${title}>${content}</a>`
+    }
+    if (mark.type === 'html') return renderElement(mark.attrs, content)
+    const [open, close] = HTML_MARKS[mark.type]
+    return open + content + close
+  }
+
+  return serializeMarkRuns(nodes, wrap, leaf)
+}
+
+// ========== Paths ==========
+
+export function getNode(doc, path) {
+  return path.reduce((node, index) => node && node.content ? node.content[index] : undefined, doc)
+}
+
+export function getTextLength(nodes) {
+  return nodes.reduce((length, node) => length + (node.type === 'text' ? node.text.length : 0), 0)
+}
+
+/**
+ * Split inline nodes at a text offset
+ */
+export function splitInline(nodes, offset) {
+  const before = []
+  const after = []
+  let position = 0
+
+  nodes.forEach(node => {
+    const length = node.type === 'text' ? node.text.length : 0
+
+    // Breaks and images right at the offset stay on the left
+    if (position + length <= offset) {
+      before.push(node)
+    } else if (position >= offset) {
+      after.push(node)
+    } else {
+      const cut = offset - position
+      before.push({ ...node, text: node.text.slice(0, cut) })
+      after.push({ ...node, text: node.text.slice(cut) })
+    }
+    position += length
+  })
+
+  return [normalizeInline(before), normalizeInline(after)]
+}
+
+/**
+ * Path of the last textblock inside `node`, relative to it
+ */
+function lastTextblockPath(node) {
+  if (isTextblock(node)) return []
+  if (!node.content || !node.content.length) return null
+
+  for (let i = node.content.length - 1; i >= 0; i--) {
+    const rest = lastTextblockPath(node.content[i])
+    if (rest) return [i, ...rest]
+  }
+  return null
+}
+
+/**
+ * Path of the first textblock inside `node`, relative to it
+ */
+function firstTextblockPath(node) {
+  if (isTextblock(node)) return []
+  if (!node.content || !node.content.length || node.type === 'table') return null
+
+  for (let i = 0; i < node.content.length; i++) {
+    const rest = firstTextblockPath(node.content[i])
+    if (rest) return [i, ...rest]
+  }
+  return null
+}
+
+/**
+ * Path of the rule or image that `node` is, or that ends (`last`) or starts
+ * it, relative to it; null when a textblock or table comes first
+ */
+function edgeAtomicPath(node, last) {
+  const path = []
+  while (!ATOMIC_TYPES.includes(node.type)) {
+    if (isTextblock(node) || node.type === 'table' || !node.content || !node.content.length) return null
+    const index = last ? node.content.length - 1 : 0
+    path.push(index)
+    node = node.content[index]
+  }
+  return path
+}
+
+/**
+ * Path of the node following `path` in document order, leaving containers as
+ * needed; null at the end of the document
+ */
+function nextSiblingPath(doc, path) {
+  for (let depth = path.length; depth > 0; depth--) {
+    const parentPath = path.slice(0, depth - 1)
+    const index = path[depth - 1]
+    if (index + 1 < getNode(doc, parentPath).content.length) {
+      return [...parentPath, index + 1]
+    }
+  }
+  return null
+}
+
+function findPath(node, target) {
+  if (node === target) return []
+  if (!node.content || isTextblock(node)) return null
+
+  for (let i = 0; i < node.content.length; i++) {
+    const rest = findPath(node.content[i], target)
+    if (rest) return [i, ...rest]
+  }
+  return null
+}
+
+/**
+ * Remove the node at `path` and the containers emptied by its removal, then
+ * join same-kind lists or quotes that end up adjacent where it was
+ */
+function removeAt(doc, path) {
+  let removePath = path
+  let holder = getNode(doc, removePath.slice(0, -1))
+  holder.content.splice(removePath[removePath.length - 1], 1)
+  while (removePath.length > 1 && !holder.content.length) {
+    removePath = removePath.slice(0, -1)
+    holder = getNode(doc, removePath.slice(0, -1))
+    holder.content.splice(removePath[removePath.length - 1], 1)
+  }
+  joinAdjacent(holder, removePath[removePath.length - 1])
+}
+
+function joinAdjacent(parent, index) {
+  const before = parent.content[index - 1]
+  const after = parent.content[index]
+  if (!before || !after || before.type !== after.type || !JOINABLE_TYPES.includes(before.type)) {
+    return false
+  }
+
+  before.content = before.content.concat(after.content)
+  if (LIST_TYPES.includes(before.type)) {
+    before.attrs.tight = before.attrs.tight && after.attrs.tight
+  }
+  parent.content.splice(index, 1)
+  return true
+}
+
+// ========== Transforms ==========
+
+/**
+ * Enter: split the textblock at the caret. List items split into two items,
+ * the second one unchecked for task lists; a heading split at its end
+ * continues with a paragraph.
+ */
+export function splitBlock(doc, position) {
+  const next = cloneDocument(doc)
+  const { path, offset } = position
+  const block = getNode(next, path)
+  if (!block || block.type === 'table_cell' || !isTextblock(block)) return null
+
+  const [before, after] = splitInline(block.content, offset)
+  const parentPath = path.slice(0, -1)
+  const parent = getNode(next, parentPath)
+  const index = path[path.length - 1]
+
+  const tail = block.type === 'heading' && !after.length
+    ? createBlock('paragraph')
+    : createBlock(block.type, { ...block.attrs }, after)
+  block.content = before
+
+  if (parent.type === 'list_item' && index === 0) {
+    const listPath = path.slice(0, -2)
+    const list = getNode(next, listPath)
+    const itemIndex = path[path.length - 2]
+    const checked = parent.attrs.checked === null || parent.attrs.checked === undefined ? null : false
+
+    // Later blocks of the item (such as a nested list) move with the tail
+    const moved = parent.content.splice(1)
+    const item = createBlock('list_item', { checked }, [tail, ...moved])
+    list.content.splice(itemIndex + 1, 0, item)
+    return { doc: next, selection: { path: [...listPath, itemIndex + 1, 0], offset: 0 } }
+  }
+
+  parent.content.splice(index + 1, 0, tail)
+  return { doc: next, selection: { path: [...parentPath, index + 1], offset: 0 } }
+}
+
+/**
+ * Backspace at the start of a textblock. Headings become paragraphs, the
+ * first block of a list item or quote is lifted out of it, and a top level
+ * paragraph merges into the last textblock before it, or removes the rule or
+ * image before it; when that leaves two lists or quotes of the same kind side
+ * by side they are joined.
+ */
+export function joinBackward(doc, position) {
+  const { path } = position
+  const block = getNode(doc, path)
+  if (!isTextblock(block) || block.type === 'table_cell' || position.offset !== 0) return null
+
+  if (block.type === 'heading') {
+    const next = cloneDocument(doc)
+    const target = getNode(next, path)
+    target.type = 'paragraph'
+    target.attrs = {}
+    return { doc: next, selection: { path, offset: 0 } }
+  }
+
+  const parent = getNode(doc, path.slice(0, -1))
+  if (parent.type === 'list_item' || parent.type === 'blockquote') {
+    return path[path.length - 1] === 0 ? liftBlock(doc, position) : mergeIntoPrevious(doc, position)
+  }
+
+  return mergeIntoPrevious(doc, position)
+}
+
+/**
+ * Delete at the end of a textblock, mirroring joinBackward. The next
+ * textblock in document order, even the first one of a following list or
+ * quote, merges into this one; an empty block is removed instead, leaving the
+ * next one as it is. A rule or image after the caret, even one opening a list
+ * or quote, is removed whole, while tables and code are never pulled in.
+ */
+export function joinForward(doc, position) {
+  const { path, offset } = position
+  const block = getNode(doc, path)
+  if (!isTextblock(block) || block.type === 'table_cell' || offset !== getTextLength(block.content)) return null
+
+  const nextPath = nextSiblingPath(doc, path)
+  if (!nextPath) return null
+  const following = getNode(doc, nextPath)
+
+  // A rule or image after the caret, or starting the list or quote after it, goes whole
+  const atomicPath = edgeAtomicPath(following, false)
+  if (atomicPath) {
+    const next = cloneDocument(doc)
+    const current = getNode(next, path)
+    removeAt(next, [...nextPath, ...atomicPath])
+    return { doc: next, selection: { path: findPath(next, current), offset } }
+  }
+
+  const rest = firstTextblockPath(following)
+  if (!rest) return null
+  const sourcePath = [...nextPath, ...rest]
+
+  if (!block.content.length) {
+    const next = cloneDocument(doc)
+    const source = getNode(next, sourcePath)
+    removeAt(next, path)
+    return { doc: next, selection: { path: findPath(next, source), offset: 0 } }
+  }
+
+  return mergeBlocks(doc, path, sourcePath)
+}
+
+/**
+ * Move a textblock out of the list item or blockquote holding it
+ */
+export function liftBlock(doc, position) {
+  const next = cloneDocument(doc)
+  const { path } = position
+  const parentPath = path.slice(0, -1)
+  const parent = getNode(next, parentPath)
+  const index = path[path.length - 1]
+
+  if (parent.type === 'blockquote') {
+    const holderPath = parentPath.slice(0, -1)
+    const holder = getNode(next, holderPath)
+    const quoteIndex = parentPath[parentPath.length - 1]
+
+    const before = parent.content.slice(0, index)
+    const lifted = parent.content[index]
+    const after = parent.content.slice(index + 1)
+
+    const replacement = []
+    if (before.length) replacement.push(createBlock('blockquote', {}, before))
+    replacement.push(lifted)
+    if (after.length) replacement.push(createBlock('blockquote', {}, after))
+    holder.content.splice(quoteIndex, 1, ...replacement)
+
+    const liftedIndex = quoteIndex + (before.length ? 1 : 0)
+    return { doc: next, selection: { path: [...holderPath, liftedIndex], offset: position.offset } }
+  }
+
+  if (parent.type === 'list_item') {
+    const listPath = parentPath.slice(0, -1)
+    const list = getNode(next, listPath)
+    const holderPath = listPath.slice(0, -1)
+    const holder = getNode(next, holderPath)
+    const listIndex = listPath[listPath.length - 1]
+    const itemIndex = parentPath[parentPath.length - 1]
+
+    const itemsBefore = list.content.slice(0, itemIndex)
+    const itemsAfter = list.content.slice(itemIndex + 1)
+    const lifted = parent.content.slice(index)
+    if (index > 0) {
+      itemsBefore.push(createBlock('list_item', { ...parent.attrs }, parent.content.slice(0, index)))
+    }
+
+    // Inside another list item the content simply moves up a level
+    const replacement = []
+    if (itemsBefore.length) replacement.push({ ...list, content: itemsBefore })
+    replacement.push(...lifted)
+    if (itemsAfter.length) {
+      const attrs = { ...list.attrs }
+      if (list.type === 'ordered_list') attrs.start = (list.attrs.start || 1) + itemIndex + 1
+      replacement.push({ ...list, attrs, content: itemsAfter })
+    }
+    holder.content.splice(listIndex, 1, ...replacement)
+
+    const liftedIndex = listIndex + (itemsBefore.length ? 1 : 0)
+    return { doc: next, selection: { path: [...holderPath, liftedIndex], offset: position.offset } }
+  }
+
+  return null
+}
+
+/**
+ * Append a textblock to the nearest textblock before it and remove it
+ */
+function mergeIntoPrevious(doc, position) {
+  const { path } = position
+  const parentPath = path.slice(0, -1)
+  const index = path[path.length - 1]
+  const parent = getNode(doc, parentPath)
+  if (index === 0) return null
+
+  const previous = parent.content[index - 1]
+
+  // A rule or image before the caret, or ending the list or quote before it, goes whole
+  const atomicPath = edgeAtomicPath(previous, true)
+  if (atomicPath) {
+    const next = cloneDocument(doc)
+    const current = getNode(next, path)
+    removeAt(next, [...parentPath, index - 1, ...atomicPath])
+    return { doc: next, selection: { path: findPath(next, current), offset: 0 } }
+  }
+
+  // Table cells and code never absorb a following paragraph
+  if (previous.type === 'table') return null
+
+  const rest = lastTextblockPath(previous)
+  if (!rest) return null
+  return mergeBlocks(doc, [...parentPath, index - 1, ...rest], path)
+}
+
+/**
+ * Append the inline content of `sourcePath` to `targetPath`, remove the source
+ * block and any containers it leaves empty, then join the same-kind lists or
+ * quotes that end up adjacent where it was
+ */
+export function mergeBlocks(doc, targetPath, sourcePath) {
+  const next = cloneDocument(doc)
+  const target = getNode(next, targetPath)
+  const source = getNode(next, sourcePath)
+  if (!isTextblock(target) || !isTextblock(source)) return null
+
+  const offset = getTextLength(target.content)
+  target.content = normalizeInline(target.content.concat(source.content))
+
+  // Target paths stay valid: the source always comes after the target
+  removeAt(next, sourcePath)
+
+  return { doc: next, selection: { path: targetPath, offset } }
+}
+
+/**
+ * Delete between two positions in different textblocks. The start block keeps
+ * its type and takes the content after the end position; everything between
+ * is removed, containers left empty go with it, sublists of list items that
+ * lost their text are lifted, and same-kind lists or quotes meeting at the
+ * seam are joined. Ranges ending in table cells are refused,
+ * tables have a fixed shape.
+ */
+export function deleteRange(doc, from, to) {
+  if (comparePaths(from.path, to.path) >= 0) return null
+  const start = getNode(doc, from.path)
+  const end = getNode(doc, to.path)
+  if (!isTextblock(start) || !isTextblock(end) || start.type === 'table_cell' || end.type === 'table_cell') {
+    return null
+  }
+
+  const next = cloneDocument(doc)
+  const target = getNode(next, from.path)
+  const [before] = splitInline(target.content, from.offset)
+  const [, after] = splitInline(getNode(next, to.path).content, to.offset)
+  target.content = normalizeInline(before.concat(after))
+
+  let depth = 0
+  while (from.path[depth] === to.path[depth]) depth++
+  const common = getNode(next, from.path.slice(0, depth))
+  const startIndex = from.path[depth]
+  const endIndex = to.path[depth]
+
+  // Inside the branch holding the end block: everything up to and including it
+  for (let level = to.path.length; level > depth + 1; level--) {
+    const index = to.path[level - 1]
+    getNode(next, to.path.slice(0, level - 1)).content.splice(0, level === to.path.length ? index + 1 : index)
+  }
+
+  // Between the two branches, and the end block when it is not nested
+  const endRemoved = to.path.length === depth + 1 ? endIndex + 1 : endIndex
+  common.content.splice(startIndex + 1, endRemoved - startIndex - 1)
+
+  // Inside the branch holding the start block: everything after it
+  for (let level = from.path.length; level > depth + 1; level--) {
+    getNode(next, from.path.slice(0, level - 1)).content.splice(from.path[level - 1] + 1)
+  }
+
+  const startBranch = common.content[startIndex]
+  const endBranch = to.path.length > depth + 1 ? common.content[startIndex + 1] : null
+  removeEmptyContainers(next)
+  if (endBranch && common.content.includes(endBranch)) liftSublists(common, common.content.indexOf(endBranch))
+  joinSeam(common, common.content.indexOf(startBranch) + 1)
+
+  return { doc: next, selection: { path: findPath(next, target), offset: getTextLength(before) } }
+}
+
+function comparePaths(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] - b[i]
+  }
+  return a.length - b.length
+}
+
+function removeEmptyContainers(node) {
+  if (!node.content || isTextblock(node)) return
+
+  node.content = node.content.filter(child => {
+    removeEmptyContainers(child)
+    return !PRUNABLE_TYPES.includes(child.type) || child.content.length > 0
+  })
+}
+
+/**
+ * List items left starting with a sublist, their own text deleted, give way to
+ * the sublist's items. Only the leading edge from `parent.content[index]` down
+ * is looked at, which is where a deleted range ends.
+ */
+function liftSublists(parent, index) {
+  while (parent && parent.content && parent.content[index]) {
+    const node = parent.content[index]
+    if (node.type === 'list_item' && node.content.length && LIST_TYPES.includes(node.content[0].type)) {
+      const [sublist, ...rest] = node.content
+      const items = sublist.content
+      items[items.length - 1].content.push(...rest)
+      parent.content.splice(index, 1, ...items)
+      continue
+    }
+    parent = node
+    index = 0
+  }
+}
+
+/**
+ * Join same-kind containers on both sides of `index`, then their children
+ * meeting at the new seam, and so on down
+ */
+function joinSeam(parent, index) {
+  while (parent && parent.content[index - 1]) {
+    const joined = parent.content[index - 1]
+    const boundary = joined.content ? joined.content.length : 0
+    if (!joinAdjacent(parent, index)) return
+    parent = joined
+    index = boundary
+  }
+}
+
+/**
+ * Paste: insert `blocks` at a caret position. A single paragraph goes inline
+ * into the caret block. Anything else splits it: a paragraph opening the
+ * pasted blocks joins the text before the caret, one closing them joins the
+ * text after it, and the blocks in between are inserted whole. The caret ends
+ * up after the pasted content; table cells only take inline content.
+ */
+export function insertBlocks(doc, position, blocks) {
+  const { path, offset } = position
+  if (!isTextblock(getNode(doc, path)) || !blocks.length) return null
+
+  const next = cloneDocument(doc)
+  const slice = cloneDocument(blocks)
+  const block = getNode(next, path)
+  const [before, after] = splitInline(block.content, offset)
+
+  if (slice.length === 1 && slice[0].type === 'paragraph') {
+    const inserted = normalizeInline(before.concat(slice[0].content))
+    block.content = normalizeInline(inserted.concat(after))
+    return { doc: next, selection: { path, offset: getTextLength(inserted) } }
+  }
+  if (block.type === 'table_cell') return null
+
+  const head = block
+  head.content = slice[0].type === 'paragraph' ? normalizeInline(before.concat(slice.shift().content)) : before
+
+  let tail = null
+  let caret
+  const last = slice[slice.length - 1]
+  if (last.type === 'paragraph') {
+    slice.pop()
+    tail = createBlock('paragraph', {}, normalizeInline(last.content.concat(after)))
+    caret = { block: tail, offset: getTextLength(last.content) }
+  } else {
+    const lastPath = lastTextblockPath(last)
+    // Text after the caret keeps the block's type; code and rules at the end
+    // of the paste get a paragraph to hold the caret
+    if (after.length || !lastPath) {
+      tail = after.length ? createBlock(block.type, { ...block.attrs }, after) : createBlock('paragraph')
+    }
+    caret = lastPath
+      ? { block: getNode(last, lastPath), offset: getTextLength(getNode(last, lastPath).content) }
+      : { block: tail, offset: 0 }
+  }
+
+  const replacement = [...(head.content.length ? [head] : []), ...slice, ...(tail ? [tail] : [])]
+  getNode(next, path.slice(0, -1)).content.splice(path[path.length - 1], 1, ...replacement)
+
+  return { doc: next, selection: { path: findPath(next, caret.block), offset: caret.offset } }
+}
@@ -0,0 +1,180 @@
+/**
+ * EditHistory - Editor-owned undo/redo
+ *
+ * The native undo stack only knows about execCommand edits, so structural DOM
+ * moves and programmatic updates leave it inconsistent. Instead every handled
+ * change is recorded as a transaction of editor snapshots (HTML plus the
+ * selection as text offsets) taken before and after it, once per key or
+ * action however many commands it ran. Consecutive typing of
+ * the same kind within GROUP_DELAY collapses into one transaction, and so do
+ * the keystrokes of a formula's source field ('editMathSource').
+ */
+export default class EditHistory {
+  constructor(domOps, patcher, options = {}) {
+    this.dom = domOps
+    this.patcher = patcher
+    this.onChange = options.onChange || null
+    this.undoStack = []
+    this.redoStack = []
+    this.current = null
+  }
+
+  static GROUP_DELAY = 1000
+  static MAX_DEPTH = 200
+  static GROUPED_TYPES = [
+    'insertText', 'insertCompositionText', 'deleteContentBackward', 'deleteContentForward', 'editMathSource'
+  ]
+
+  get canUndo() {
+    return this.undoStack.length > 0
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0
+  }
+
+  // ========== Snapshots ==========
+
+  snapshot() {
+    return {
+      html: this.dom.getInnerHTML(this.dom.editor),
+      selection: this.getSelectionOffsets()
+    }
+  }
+
+  getSelectionOffsets() {
+    if (!this.dom.isSelectionInEditor()) return null
+
+    // Measured like selectTextRange measures, without non-editable text
+    const { editor } = this.dom
+    const { range } = this.dom.getCursorContext()
+    return {
+      start: this.dom.getEditableTextOffset(editor, range.startContainer, range.startOffset),
+      end: this.dom.getEditableTextOffset(editor, range.endContainer, range.endOffset)
+    }
+  }
+
+  /**
+   * Forget all transactions and take the editor as it is as the base state
+   */
+  reset() {
+    this.undoStack = []
+    this.redoStack = []
+    this.current = this.snapshot()
+    this.notify()
+  }
+
+  /**
+   * Remember where the selection is before an edit, so undo can put it back
+   */
+  markSelection() {
+    const selection = this.getSelectionOffsets()
+    if (this.current && selection) {
+      this.current.selection = selection
+    }
+  }
+
+  // ========== Recording ==========
+
+  /**
+   * Record the change since the last snapshot. `type` is an input type such as
+   * 'insertText', or any other label for changes that never group.
+   */
+  record(type = 'action') {
+    if (!this.current) {
+      this.reset()
+      return false
+    }
+
+    const after = this.snapshot()
+    if (after.html === this.current.html) return false
+
+    const now = Date.now()
+    const last = this.undoStack[this.undoStack.length - 1]
+    const grouped = last && !this.redoStack.length &&
+      EditHistory.GROUPED_TYPES.includes(type) &&
+      last.type === type &&
+      now - last.time < EditHistory.GROUP_DELAY
+
+    if (grouped) {
+      last.after = after
+      last.time = now
+    } else {
+      this.undoStack.push({ type, before: this.current, after, time: now })
+      if (this.undoStack.length > EditHistory.MAX_DEPTH) {
+        this.undoStack.shift()
+      }
+    }
+
+    this.redoStack = []
+    this.current = after
+    this.notify()
+    return true
+  }
+
+  // ========== Rewriting ==========
+
+  /**
+   * Run `update(root)` on every snapshot, for changes that hold in all states
+   * rather than being a step of their own, such as an upload resolving.
+   * `update` returns whether it changed anything; transactions it leaves
+   * without a change are dropped.
+   */
+  rewrite(update) {
+    // A template, so images in the snapshots are not fetched
+    const template = this.dom.createElement('template')
+    const seen = new Set()
+    const rewriteSnapshot = snapshot => {
+      if (!snapshot || seen.has(snapshot)) return
+      seen.add(snapshot)
+      template.innerHTML = snapshot.html
+      if (update(template.content)) snapshot.html = this.dom.getInnerHTML(template)
+    }
+
+    const rewriteStack = stack => stack.filter(transaction => {
+      rewriteSnapshot(transaction.before)
+      rewriteSnapshot(transaction.after)
+      return transaction.before.html !== transaction.after.html
+    })
+    this.undoStack = rewriteStack(this.undoStack)
+    this.redoStack = rewriteStack(this.redoStack)
+    rewriteSnapshot(this.current)
+    this.notify()
+  }
+
+  // ========== Undo / Redo ==========
+
+  undo() {
+    const transaction = this.undoStack.pop()
+    if (!transaction) return false
+
+    this.redoStack.push(transaction)
+    this.apply(transaction.before)
+    return true
+  }
+
+  redo() {
+    const transaction = this.redoStack.pop()
+    if (!transaction) return false
+
+    this.undoStack.push(transaction)
+    this.apply(transaction.after)
+    return true
+  }
+
+  apply(state) {
+    this.patcher.patch(state.html)
+    this.current = { html: this.dom.getInnerHTML(this.dom.editor), selection: state.selection }
+
+    if (state.selection) {
+      this.dom.selectTextRange(this.dom.editor, state.selection.start, state.selection.end)
+    }
+    this.notify()
+  }
+
+  notify() {
+    if (this.onChange) {
+      this.onChange({ canUndo: this.canUndo, canRedo: this.canRedo })
+    }
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Footnotes - `[^label]` references and `[^label]: text` definitions
+ *
+ * References render as non-editable SUP elements carrying their label, and
+ * definitions as ASIDE elements left where they were written, so the note
+ * stays editable in place. The Turndown rules write both back; lines of a
+ * definition after its first are indented four spaces, as the markdown-it
+ * rule reads them.
+ */
+import { escapeHTML } from './DOMOperations'
+
+export const FOOTNOTE_REF_CLASS = 'footnote-ref'
+export const FOOTNOTE_CLASS = 'footnote'
+
+export function footnoteRefHTML(label) {
+  const escaped = escapeHTML(label)
+  return `<sup class="${FOOTNOTE_REF_CLASS}" contenteditable="false" data-label="${escaped}">` +
+    `<a href="#fn-${escaped}">${escaped}</a></sup>`
+}
+
+export function isFootnoteRef(node) {
+  return !!node && node.nodeType === 1 && node.tagName === 'SUP' && node.classList.contains(FOOTNOTE_REF_CLASS)
+}
+
+export function isFootnote(node) {
+  return !!node && node.nodeType === 1 && node.tagName === 'ASIDE' && node.classList.contains(FOOTNOTE_CLASS)
+}
+
+// ========== markdown-it ==========
+
+/**
+ * `[^label]` where the label has no spaces or brackets
+ */
+function footnoteRefRule(state, silent) {
+  const match = state.src.slice(state.pos, state.posMax).match(/^\[\^([^\s[\]]+)\]/)
+  if (!match) return false
+
+  if (!silent) {
+    const token = state.push('footnote_ref', 'sup', 0)
+    token.meta = { label: match[1] }
+  }
+  state.pos += match[0].length
+  return true
+}
+
+/**
+ * `[^label]: text` and the lines indented under it, parsed as blocks
+ */
+function footnoteDefRule(state, startLine, endLine, silent) {
+  if (state.sCount[startLine] - state.blkIndent >= 4) return false
+
+  const start = state.bMarks[startLine] + state.tShift[startLine]
+  const max = state.eMarks[startLine]
+  const match = state.src.slice(start, max).match(/^\[\^([^\s[\]]+)\]:/)
+  if (!match) return false
+  if (silent) return true
+
+  const label = match[1]
+  let pos = start + match[0].length
+  const contentStart = pos
+  const initial = state.sCount[startLine] + pos - start
+  let offset = initial
+  while (pos < max && state.md.utils.isSpace(state.src.charCodeAt(pos))) {
+    offset += state.src.charCodeAt(pos) === 0x09 ? 4 - offset % 4 : 1
+    pos++
+  }
+
+  const open = state.push('footnote_open', 'aside', 1)
+  open.attrs = [['class', FOOTNOTE_CLASS], ['id', `fn-${label}`], ['data-label', label]]
+  open.map = [startLine, 0]
+
+  // Tokenize the rest of the first line and the indented lines as a nested block
+  const oldBMark = state.bMarks[startLine]
+  const oldTShift = state.tShift[startLine]
+  const oldSCount = state.sCount[startLine]
+  const oldParentType = state.parentType
+  state.bMarks[startLine] = contentStart
+  state.tShift[startLine] = pos - contentStart
+  state.sCount[startLine] = offset - initial
+  state.blkIndent += 4
+  state.parentType = 'footnote'
+  if (state.sCount[startLine] < state.blkIndent) state.sCount[startLine] += state.blkIndent
+
+  state.md.block.tokenize(state, startLine, endLine, true)
+
+  state.parentType = oldParentType
+  state.blkIndent -= 4
+  state.bMarks[startLine] = oldBMark
+  state.tShift[startLine] = oldTShift
+  state.sCount[startLine] = oldSCount
+
+  open.map[1] = state.line
+  state.push('footnote_close', 'aside', -1)
+  return true
+}
+
+export function footnotePlugin(md) {
+  md.inline.ruler.before('link', 'footnote_ref', footnoteRefRule)
+  md.block.ruler.before('reference', 'footnote_def', footnoteDefRule, {
+    alt: ['paragraph', 'reference']
+  })
+
+  md.renderer.rules.footnote_ref = (tokens, index) => footnoteRefHTML(tokens[index].meta.label)
+}
+
+export function addFootnoteRules(turndownService) {
+  turndownService.addRule('footnoteRef', {
+    filter: function (node) {
+      return isFootnoteRef(node)
+    },
+    replacement: function (content, node) {
+      return `[^${node.getAttribute('data-label')}]`
+    }
+  })
+
+  turndownService.addRule('footnote', {
+    filter: function (node) {
+      return isFootnote(node)
+    },
+    replacement: function (content, node) {
+      const lines = content.replace(/^\n+|\n+$/g, '').split('\n')
+      const body = lines[0] + lines.slice(1).map(line => line ? '\n    ' + line : '\n').join('')
+      return `\n\n[^${node.getAttribute('data-label')}]: ${body}\n\n`
+    }
+  })
+}
+
+export const footnotes = {
+  name: 'footnotes',
+  markdownIt: footnotePlugin,
+  turndown: addFootnoteRules,
+  containerTags: ['ASIDE'],
+  inlineTags: ['SUP']
+}
@@ -0,0 +1,152 @@
+/**
+ * Images - Image blocks and uploads
+ *
+ * A paragraph holding nothing but an image is an image block: the markdown-it
+ * plugin renders it as a non-editable FIGURE the caret steps over, and the
+ * Turndown rule writes it back as `![alt](src "title")` on a line of its own.
+ * Images still uploading are placeholder blocks carrying a `data-upload` id;
+ * they never reach the markdown until the upload resolves to the final URL.
+ */
+import { escapeHTML } from './DOMOperations'
+
+export const IMAGE_BLOCK_CLASS = 'image-block'
+export const IMAGE_UPLOADING_CLASS = 'image-uploading'
+
+export function imageBlockHTML({ src = '', alt = '', title = '', upload = null }) {
+  const className = upload ? `${IMAGE_BLOCK_CLASS} ${IMAGE_UPLOADING_CLASS}` : IMAGE_BLOCK_CLASS
+  const uploadId = upload ? ` data-upload="${escapeHTML(upload)}"` : ''
+  const titleAttribute = title ? ` title="${escapeHTML(title)}"` : ''
+  return `<figure class="${className}" contenteditable="false"${uploadId}>` +
+    `<img src="${escapeHTML(src)}" alt="${escapeHTML(alt)}"${titleAttribute}></figure>`
+}
+
+export function isImageBlock(node) {
+  return !!node && node.nodeType === 1 && node.tagName === 'FIGURE' && node.classList.contains(IMAGE_BLOCK_CLASS)
+}
+
+/**
+ * Attributes of an image block element, as the document model stores them
+ */
+export function getImageAttrs(figure) {
+  const img = figure.querySelector('img')
+  return {
+    src: img ? img.getAttribute('src') || '' : '',
+    alt: img ? img.getAttribute('alt') || '' : '',
+    title: img ? img.getAttribute('title') || '' : '',
+    upload: figure.getAttribute('data-upload') || null
+  }
+}
+
+// Whitespace, parentheses and angle brackets would end the link destination
+function escapeDestination(src) {
+  return src.replace(/[\s()<>]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'))
+}
+
+export function imageMarkdown({ src, alt, title }) {
+  const escapedAlt = (alt || '').replace(/([\\[\]])/g, '\\$1')
+  const escapedTitle = title ? ` "${title.replace(/"/g, '\\"')}"` : ''
+  return `![${escapedAlt}](${escapeDestination(src || '')}${escapedTitle})`
+}
+
+/**
+ * markdown-it plugin: runs after inline parsing and turns visible paragraphs
+ * whose only content is an image into `image_block` tokens. The paragraphs of
+ * tight list items stay inline.
+ */
+export function imageBlockPlugin(md) {
+  md.core.ruler.after('inline', 'image_blocks', state => {
+    const tokens = state.tokens
+
+    for (let i = tokens.length - 3; i >= 0; i--) {
+      const open = tokens[i]
+      const inline = tokens[i + 1]
+      if (open.type !== 'paragraph_open' || open.hidden || tokens[i + 2].type !== 'paragraph_close') continue
+
+      const children = (inline.children || []).filter(child => child.type !== 'text' || child.content.trim())
+      if (children.length !== 1 || children[0].type !== 'image') continue
+
+      const image = children[0]
+      const token = new state.Token('image_block', 'figure', 0)
+      token.block = true
+      token.map = open.map
+      token.level = open.level
+      token.attrs = [['src', image.attrGet('src')], ['title', image.attrGet('title') || '']]
+      // The alt text as rendered, escapes resolved
+      token.content = image.children ? image.children.map(child => child.content).join('') : image.content
+      tokens.splice(i, 3, token)
+    }
+  })
+
+  md.renderer.rules.image_block = (tokens, index) => {
+    const token = tokens[index]
+    return imageBlockHTML({ src: token.attrGet('src'), alt: token.content, title: token.attrGet('title') }) + '\n'
+  }
+}
+
+export function addImageRules(turndownService) {
+  turndownService.addRule('imageBlock', {
+    filter: function (node) {
+      return isImageBlock(node)
+    },
+    replacement: function (content, node) {
+      const attrs = getImageAttrs(node)
+      return attrs.upload ? '' : '\n\n' + imageMarkdown(attrs) + '\n\n'
+    }
+  })
+}
+
+// ========== Uploads ==========
+
+/**
+ * Image files of a clipboard or drag `DataTransfer`
+ */
+export function getImageFiles(dataTransfer) {
+  return Array.from((dataTransfer && dataTransfer.files) || []).filter(file => /^image\//.test(file.type))
+}
+
+/**
+ * Default upload adapter: embeds the image as a data URL, so it works offline
+ * and without a server at the cost of a long markdown line
+ */
+export function embedImage(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(file)
+  })
+}
+
+let uploadCount = 0
+
+function getUploadPlaceholder(root, uploadId) {
+  return Array.from(root.querySelectorAll('figure[data-upload]'))
+    .find(figure => figure.getAttribute('data-upload') === uploadId) || null
+}
+
+/**
+ * Turn the placeholder of upload `uploadId` under `root` into the final image
+ * block. Returns false when there is no such placeholder.
+ */
+export function finishUploadPlaceholder(root, uploadId, src) {
+  const figure = getUploadPlaceholder(root, uploadId)
+  if (!figure) return false
+
+  figure.querySelector('img').setAttribute('src', src)
+  figure.removeAttribute('data-upload')
+  figure.classList.remove(IMAGE_UPLOADING_CLASS)
+  return true
+}
+
+export function removeUploadPlaceholder(root, uploadId) {
+  const figure = getUploadPlaceholder(root, uploadId)
+  if (!figure) return false
+
+  figure.remove()
+  return true
+}
+
+export function createUploadId() {
+  uploadCount += 1
+  return `upload-${Date.now().toString(36)}-${uploadCount}`
+}
@@ -0,0 +1,565 @@
+/**
+ * InputRules - Markdown shortcuts typed directly into the editor
+ *
+ * Block rules watch the text between the block start and the caret and, when a
+ * trigger key is pressed, convert the paragraph into the matching markdown block.
+ * Inline rules run after a character is inserted and wrap the text enclosed by a
+ * just-closed delimiter pair in the matching inline tag, following CommonMark's
+ * flanking rules so that Turndown serializes the result back to the same markdown.
+ * A typed URL becomes a link once the space after it is typed.
+ * All conversions go through DOMOperations; EditHistory makes each one an undo step.
+ */
+import { TRAILING_URL, trimUrl, isCompleteUrl, normalizeHref, isSafeHref } from './Links'
+
+export default class InputRules {
+  constructor(domOps, blockModel, options = {}) {
+    this.dom = domOps
+    this.blocks = blockModel
+    this.debug = options.debug || false
+
+    // Last block conversion, kept so an immediate Backspace can revert it
+    this.lastConversion = null
+  }
+
+  // ========== Rule Definitions ==========
+
+  static BLOCK_RULES = [
+    {
+      name: 'heading',
+      pattern: /^(#{1,6})$/,
+      triggers: [' '],
+      apply(rules, block, match) {
+        return rules.formatAs(block, 'h' + match[1].length)
+      }
+    },
+    {
+      name: 'bullet-list',
+      pattern: /^[-*+]$/,
+      triggers: [' '],
+      apply(rules, block) {
+        return rules.wrapAs(block, '<ul><li>', '</li></ul>', 'li')
+      }
+    },
+    {
+      name: 'ordered-list',
+      pattern: /^(\d{1,9})[.)]$/,
+      triggers: [' '],
+      apply(rules, block, match) {
+        const start = parseInt(match[1], 10)
+        const open = start === 1 ? '<ol><li>' : `<ol start="${start}"><li>`
+        return rules.wrapAs(block, open, '</li></ol>', 'li')
+      }
+    },
+    {
+      name: 'blockquote',
+      pattern: /^>$/,
+      triggers: [' '],
+      apply(rules, block) {
+        return rules.wrapAs(block, '<blockquote><p>', '</p></blockquote>', 'p')
+      }
+    },
+    {
+      name: 'code-block',
+      pattern: /^```([\w+#-]*)$/,
+      triggers: [' ', 'Enter'],
+      apply(rules, block, match) {
+        const className = match[1] ? ` class="language-${rules.dom.escapeHTML(match[1])}"` : ''
+        return rules.wrapAs(block, `<pre><code${className}>`, '</code></pre>', 'code', true)
+      }
+    },
+    {
+      name: 'horizontal-rule',
+      pattern: /^(?:-{3,}|\*{3,}|_{3,})$/,
+      triggers: ['Enter'],
+      apply(rules, block) {
+        return rules.insertRuleBefore(block)
+      }
+    }
+  ]
+
+  // Delimiter character -> run length -> tag
+  static INLINE_DELIMITERS = {
+    '*': { 1: 'em', 2: 'strong' },
+    '_': { 1: 'em', 2: 'strong' },
+    '~': { 2: 's' }
+  }
+
+  // Placeholder for inline elements while scanning sibling text
+  static OBJECT_CHAR = '\uFFFC'
+
+  // ========== LOGGING ==========
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[InputRules]', ...args)
+    }
+  }
+
+  // ========== Block Rules ==========
+
+  /**
+   * Try to convert the caret block for the given trigger key.
+   * Returns true when a rule matched and the key should be swallowed.
+   */
+  applyBlockRule(trigger) {
+    this.lastConversion = null
+
+    const context = this.dom.getCursorContext()
+    if (!context || !context.collapsed) return false
+
+    const block = this.blocks.findBlockElement(context.container)
+    if (!block || this.dom.getTagName(block) !== 'P') return false
+
+    const marker = this.dom.getTextBeforeCaret(block)
+
+    for (const rule of InputRules.BLOCK_RULES) {
+      if (!rule.triggers.includes(trigger)) continue
+
+      const match = marker.match(rule.pattern)
+      if (!match) continue
+
+      this.log('Applying block rule', rule.name, JSON.stringify(marker))
+
+      // Remove the typed marker, keeping whatever follows the caret
+      this.dom.selectRange(block, 0, context.container, context.offset)
+      this.dom.deleteSelection()
+
+      const result = rule.apply(this, block, match)
+      if (!result) return true
+
+      this.lastConversion = {
+        rule: rule.name,
+        marker: trigger === ' ' ? marker + ' ' : marker,
+        element: result.element,
+        outer: result.outer,
+        first: result.first || result.outer
+      }
+      return true
+    }
+
+    return false
+  }
+
+  /**
+   * Convert a paragraph into another leaf block using formatBlock
+   */
+  formatAs(block, tag) {
+    this.dom.setCaretAtStart(block)
+    this.dom.formatBlock(tag)
+
+    const element = this.findConvertedElement(tag)
+    if (!element) return null
+
+    this.dom.setCaretAtStart(element)
+    return { element, outer: element }
+  }
+
+  /**
+   * Replace a paragraph with container markup wrapping its remaining content
+   */
+  wrapAs(block, open, close, innerTag, plainText = false) {
+    const rest = plainText
+      ? this.dom.escapeHTML(this.dom.getTextContent(block))
+      : this.restContent(block)
+
+    this.dom.selectNode(block)
+    this.dom.insertHTML(open + (rest || '<br>') + close)
+
+    const element = this.findConvertedElement(innerTag)
+    if (!element) return null
+
+    const parent = this.dom.getParentElement(element)
+    const outer = this.blocks.isContainerElement(parent) ? parent : element
+
+    this.dom.setCaretAtStart(element)
+    return { element, outer }
+  }
+
+  /**
+   * Replace a paragraph with a rule followed by a paragraph holding its
+   * remaining content
+   */
+  insertRuleBefore(block) {
+    const rest = this.restContent(block)
+
+    this.dom.selectNode(block)
+    this.dom.insertHTML('<hr><p>' + (rest || '<br>') + '</p>')
+
+    const element = this.findConvertedElement('p')
+    if (!element) return null
+
+    const rule = this.dom.getPreviousSibling(element)
+    this.dom.setCaretAtStart(element)
+    return { element, outer: element, first: rule && rule.tagName === 'HR' ? rule : element }
+  }
+
+  restContent(block) {
+    if (this.blocks.isBlockEmpty(block)) return ''
+    return this.blocks.extractInlineContent(block)
+  }
+
+  findConvertedElement(tag) {
+    const context = this.dom.getCursorContext()
+    if (!context) return null
+
+    const node = context.container.nodeType === Node.TEXT_NODE
+      ? context.container.parentElement
+      : context.container
+
+    const element = node && node.closest(tag)
+    return element && this.dom.editor.contains(element) ? element : null
+  }
+
+  // ========== Inline Rules ==========
+
+  /**
+   * Wrap the text closed by the just-typed character in an inline tag.
+   * Returns true when the DOM was changed.
+   */
+  applyInlineRule(typed) {
+    if (!typed) return false
+
+    const last = typed[typed.length - 1]
+    if (last !== ')' && last !== '`' && !InputRules.INLINE_DELIMITERS[last]) return false
+
+    const context = this.dom.getCursorContext()
+    if (!context || !context.collapsed) return false
+    if (context.container.nodeType !== Node.TEXT_NODE) return false
+
+    const block = this.blocks.findBlockElement(context.container)
+    if (!block || this.isInCode(context.container)) return false
+
+    const scan = this.scanInlineText(context.container, context.offset)
+
+    let match
+    if (last === ')') {
+      match = this.matchLink(scan.text)
+    } else if (last === '`') {
+      match = this.matchCodeSpan(scan.text)
+    } else {
+      match = this.matchEmphasis(scan.text, last)
+    }
+    if (!match) return false
+
+    this.log('Applying inline rule', match.tag, JSON.stringify(scan.text.slice(match.start)))
+
+    const start = this.resolvePosition(scan.segments, match.start)
+    if (!start) return false
+
+    const html = match.html !== undefined
+      ? match.html
+      : this.extractMarkdownContent(scan.segments, match.contentStart, match.contentEnd)
+
+    this.dom.selectRange(start.node, start.offset, context.container, context.offset)
+    this.dom.insertHTML(`<${match.tag}${match.attrs || ''}>${html}</${match.tag}>`)
+
+    // Continue typing after the new element rather than inside it
+    const element = this.findConvertedElement(match.tag)
+    if (element) {
+      this.dom.setCaretAfter(element)
+    }
+    return true
+  }
+
+  isInCode(node) {
+    let element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node
+    while (element && element !== this.dom.editor) {
+      if (element.tagName === 'CODE' || element.tagName === 'PRE') return true
+      element = this.dom.getParentElement(element)
+    }
+    return false
+  }
+
+  /**
+   * Flatten the siblings before the caret into a string. Inline elements become
+   * a single placeholder character so delimiters can enclose existing markup.
+   */
+  scanInlineText(textNode, offset) {
+    const segments = []
+    let text = ''
+    let node = textNode.parentNode.firstChild
+
+    while (node) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const value = node === textNode ? node.textContent.substring(0, offset) : node.textContent
+        segments.push({ node, start: text.length, length: value.length })
+        text += value
+      } else {
+        segments.push({ node, start: text.length, length: 1 })
+        text += InputRules.OBJECT_CHAR
+      }
+      if (node === textNode) break
+      node = node.nextSibling
+    }
+
+    return { text, segments }
+  }
+
+  /**
+   * Map an offset in the scanned string back to a DOM position
+   */
+  resolvePosition(segments, index) {
+    const last = segments[segments.length - 1]
+
+    for (const segment of segments) {
+      if (index >= segment.start + segment.length && segment !== last) continue
+
+      if (segment.node.nodeType === Node.TEXT_NODE) {
+        return { node: segment.node, offset: Math.min(index - segment.start, segment.length) }
+      }
+
+      const parent = segment.node.parentNode
+      const position = Array.prototype.indexOf.call(parent.childNodes, segment.node)
+      return { node: parent, offset: index > segment.start ? position + 1 : position }
+    }
+
+    return null
+  }
+
+  /**
+   * Serialize the content between two scan offsets, dropping the backslashes of
+   * markdown escapes since the text is no longer markdown source once wrapped.
+   */
+  extractMarkdownContent(segments, from, to) {
+    const start = this.resolvePosition(segments, from)
+    const end = this.resolvePosition(segments, to)
+    if (!start || !end) return ''
+
+    const range = document.createRange()
+    range.setStart(start.node, start.offset)
+    range.setEnd(end.node, end.offset)
+
+    const temp = this.dom.createElement('div')
+    temp.appendChild(range.cloneContents())
+
+    const walker = this.dom.createTreeWalker(temp, NodeFilter.SHOW_TEXT)
+    let node
+    while (node = walker.nextNode()) {
+      node.textContent = this.unescapeMarkdown(node.textContent)
+    }
+
+    return temp.innerHTML
+  }
+
+  unescapeMarkdown(text) {
+    return text.replace(/\\([!-/:-@[-`{-~])/g, '$1')
+  }
+
+  isEscaped(text, index) {
+    let backslashes = 0
+    for (let i = index - 1; i >= 0 && text[i] === '\\'; i--) {
+      backslashes++
+    }
+    return backslashes % 2 === 1
+  }
+
+  isWhitespace(char) {
+    return char === undefined || /\s/.test(char)
+  }
+
+  isPunctuation(char) {
+    return char !== undefined && /[\p{P}\p{S}]/u.test(char)
+  }
+
+  // CommonMark left-flanking delimiter run
+  isLeftFlanking(before, after) {
+    if (this.isWhitespace(after)) return false
+    if (!this.isPunctuation(after)) return true
+    return this.isWhitespace(before) || this.isPunctuation(before)
+  }
+
+  // CommonMark right-flanking delimiter run
+  isRightFlanking(before, after) {
+    if (this.isWhitespace(before)) return false
+    if (!this.isPunctuation(before)) return true
+    return this.isWhitespace(after) || this.isPunctuation(after)
+  }
+
+  /**
+   * Find the maximal run of `char` ending at `end` (exclusive)
+   */
+  runStart(text, end, char) {
+    let start = end
+    while (start > 0 && text[start - 1] === char) start--
+    return start
+  }
+
+  matchEmphasis(text, char) {
+    const closeEnd = text.length
+    const closeStart = this.runStart(text, closeEnd, char)
+    const length = closeEnd - closeStart
+    const tag = InputRules.INLINE_DELIMITERS[char][length]
+    if (!tag || this.isEscaped(text, closeStart)) return null
+
+    // The character after the closer is not typed yet, treat it as a line end
+    const beforeClose = text[closeStart - 1]
+    if (!this.isRightFlanking(beforeClose, undefined)) return null
+
+    let index = closeStart
+    while (index > 0) {
+      if (text[index - 1] !== char) {
+        index--
+        continue
+      }
+
+      const openEnd = index
+      const openStart = this.runStart(text, openEnd, char)
+      index = openStart
+
+      if (openEnd - openStart !== length) continue
+      if (this.isEscaped(text, openStart)) continue
+
+      const before = text[openStart - 1]
+      const after = text[openEnd]
+      const leftFlanking = this.isLeftFlanking(before, after)
+      if (!leftFlanking) continue
+
+      // Underscores cannot open emphasis inside a word
+      if (char === '_' && this.isRightFlanking(before, after) && !this.isPunctuation(before)) continue
+
+      if (openEnd === closeStart) return null
+
+      return {
+        tag,
+        start: openStart,
+        contentStart: openEnd,
+        contentEnd: closeStart
+      }
+    }
+
+    return null
+  }
+
+  matchCodeSpan(text) {
+    const closeEnd = text.length
+    const closeStart = this.runStart(text, closeEnd, '`')
+    const length = closeEnd - closeStart
+
+    let index = closeStart
+    while (index > 0) {
+      if (text[index - 1] !== '`') {
+        index--
+        continue
+      }
+
+      const openEnd = index
+      const openStart = this.runStart(text, openEnd, '`')
+      index = openStart
+
+      if (openEnd - openStart !== length) continue
+      // A backslash escapes only the first backtick of the opening run
+      if (this.isEscaped(text, openStart)) continue
+
+      let content = text.slice(openEnd, closeStart)
+      if (!content || content.includes(InputRules.OBJECT_CHAR)) return null
+
+      if (/^[ \u00a0].*[ \u00a0]$/.test(content) && /[^ \u00a0]/.test(content)) {
+        content = content.slice(1, -1)
+      }
+
+      return {
+        tag: 'code',
+        start: openStart,
+        html: this.dom.escapeHTML(content)
+      }
+    }
+
+    return null
+  }
+
+  matchLink(text) {
+    const match = text.match(/\[([^[\]]+)\]\(\s*([^\s()]+)(?:\s+"([^"]*)")?\s*\)$/)
+    if (!match) return null
+
+    const start = match.index
+    if (this.isEscaped(text, start) || text[start - 1] === '!') return null
+
+    const href = match[2].replace(/^<(.*)>$/, '$1')
+    if (!isSafeHref(href)) return null
+
+    const title = match[3] ? ` title="${this.dom.escapeHTML(this.unescapeMarkdown(match[3]))}"` : ''
+
+    return {
+      tag: 'a',
+      attrs: ` href="${this.dom.escapeHTML(href)}"${title}`,
+      start,
+      contentStart: start + 1,
+      contentEnd: start + 1 + match[1].length
+    }
+  }
+
+  // ========== Autolinks ==========
+
+  /**
+   * Link the URL right before the caret, trailing punctuation excluded, and
+   * leave the caret where it was. Returns true when a link was created.
+   */
+  applyAutolink() {
+    const context = this.dom.getCursorContext()
+    if (!context || !context.collapsed || context.container.nodeType !== Node.TEXT_NODE) return false
+
+    const textNode = context.container
+    if (this.isInCode(textNode) || this.blocks.findInlineAncestor(textNode, 'A')) return false
+
+    const match = textNode.textContent.substring(0, context.offset).match(TRAILING_URL)
+    if (!match) return false
+
+    const url = trimUrl(match[2])
+    if (!isCompleteUrl(url)) return false
+
+    const start = match.index + match[1].length
+    const trailing = context.offset - start - url.length
+    this.log('Applying autolink', url)
+
+    this.dom.selectRange(textNode, start, textNode, start + url.length)
+    this.dom.insertHTML(`<a href="${this.dom.escapeHTML(normalizeHref(url))}">${this.dom.escapeHTML(url)}</a>`)
+
+    const link = this.findConvertedElement('a')
+    if (!link) return true
+
+    const next = link.nextSibling
+    if (trailing && next && next.nodeType === Node.TEXT_NODE) {
+      this.dom.selectRange(next, trailing, next, trailing)
+    } else {
+      this.dom.setCaretAfter(link)
+    }
+    return true
+  }
+
+  // ========== Revert ==========
+
+  /**
+   * Backspace right after a conversion restores the literal marker text
+   */
+  revertLastConversion() {
+    const conversion = this.lastConversion
+    this.lastConversion = null
+    if (!conversion) return false
+
+    const { element, outer, first, marker } = conversion
+    if (!this.dom.editor.contains(outer) || !this.dom.editor.contains(first)) return false
+
+    const context = this.dom.getCursorContext()
+    if (!context || !context.collapsed || !element.contains(context.container)) return false
+    if (this.dom.getTextBeforeCaret(element) !== '') return false
+
+    this.log('Reverting block rule', conversion.rule)
+
+    const rest = this.restContent(element)
+    const literal = this.dom.escapeHTML(marker)
+    const html = rest ? literal + rest : literal.replace(/ $/, '&nbsp;')
+
+    this.dom.selectNode(first, outer)
+    this.dom.insertHTML(`<p>${html}</p>`)
+
+    const paragraph = this.findConvertedElement('p')
+    if (paragraph) {
+      this.dom.setCaretPosition(paragraph, marker.length)
+    }
+    return true
+  }
+
+  reset() {
+    this.lastConversion = null
+  }
+}
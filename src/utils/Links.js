@@ -0,0 +1,66 @@
+/**
+ * Links - Link targets, autolinks and bare URLs
+ *
+ * markdown-it's linkify turns bare URLs into links. The Turndown rule writes a
+ * link whose text is its own URL back as that bare URL, so it round trips the
+ * same way, and typed URLs become the same kind of link through the autolink
+ * input rule.
+ */
+
+// A URL ending at the end of the text, after whitespace or an opening bracket
+export const TRAILING_URL = /(^|[\s(])((?:https?:\/\/|www\.)\S+)$/i
+
+const COMPLETE_URL = /^(?:https?:\/\/[^\s/?#.]+(?:\.[^\s/?#.]+)*|www\.[^\s/?#.]+(?:\.[^\s/?#.]+)+)/i
+
+/**
+ * Drop punctuation that ends the sentence rather than the URL, and closing
+ * brackets with no opening one inside the URL, as GFM autolinks do
+ */
+export function trimUrl(url) {
+  let end = url.length
+  for (;;) {
+    const char = url.charAt(end - 1)
+    if (/[.,:;!?'"*_~]/.test(char)) {
+      end--
+    } else if (char === ')' && count(url.slice(0, end), ')') > count(url.slice(0, end), '(')) {
+      end--
+    } else {
+      return url.slice(0, end)
+    }
+  }
+}
+
+function count(text, char) {
+  return text.split(char).length - 1
+}
+
+export function isCompleteUrl(text) {
+  return COMPLETE_URL.test(text)
+}
+
+/**
+ * Link target for typed text: `www.` addresses get a scheme, as with linkify
+ */
+export function normalizeHref(text) {
+  const href = text.trim()
+  return /^www\./i.test(href) ? 'http://' + href : href
+}
+
+export function isSafeHref(href) {
+  return !/^\s*(javascript|vbscript|data):/i.test(href)
+}
+
+function isBareLink(node) {
+  if (node.nodeName !== 'A' || node.getAttribute('title')) return false
+  const text = node.textContent
+  return /^(https?:\/\/|www\.)\S+$/i.test(text) && normalizeHref(text) === node.getAttribute('href')
+}
+
+export function addLinkRules(turndownService) {
+  turndownService.addRule('bareLink', {
+    filter: isBareLink,
+    replacement: function (content, node) {
+      return node.textContent
+    }
+  })
+}
@@ -4,8 +4,21 @@
  * This class orchestrates the lower layers (DOMOperations and MarkdownBlockModel)
  * to handle user actions with markdown semantic understanding.
  */
-import DOMOperations from './DOMOperations'
+import DOMOperations, { escapeHTML } from './DOMOperations'
+import NativeCommandBackend from './NativeCommandBackend'
+import DOMCommandBackend from './DOMCommandBackend'
 import MarkdownBlockModel from './MarkdownBlockModel'
+import InputRules from './InputRules'
+import CommandRegistry from './CommandRegistry'
+import DOMPatcher from './DOMPatcher'
+import EditHistory from './EditHistory'
+import { createBlock, renderChildren, splitBlock, joinBackward, joinForward, deleteRange, insertBlocks } from './DocumentModel'
+import { TASK_ITEM_CLASS, taskCheckboxHTML } from './TaskLists'
+import { tableHTML, tableCellHTML, getCellAlignment } from './Tables'
+import { LANGUAGE_CLASS_PREFIX } from './CodeBlocks'
+import { finishUploadPlaceholder, removeUploadPlaceholder } from './Images'
+import { normalizeHref, isSafeHref } from './Links'
+import { mathHTML, isMathBlock, isMathInline } from './Math'
 
 export default class MarkdownBlockEditor {
   constructor(editorElement, options = {}) {
@@ -14,7 +27,78 @@ export default class MarkdownBlockEditor {
     
     // Initialize lower layers
     this.dom = new DOMOperations(editorElement)
-    this.blocks = new MarkdownBlockModel(editorElement, this.dom)
+    this.useExecCommandOnly = options.useExecCommandOnly !== false
+    // Editor plugins (see Plugins.js) classify the elements they render
+    this.blocks = new MarkdownBlockModel(editorElement, this.dom, options.plugins)
+    this.inputRules = new InputRules(this.dom, this.blocks, { debug: this.debug })
+    this.patcher = new DOMPatcher(this.dom, this.blocks)
+    this.history = new EditHistory(this.dom, this.patcher, { onChange: options.onHistoryChange })
+
+    // Asked for a link target when insertLink runs without one; the browser
+    // prompt stands in when nobody listens
+    this.onLinkRequest = options.onLinkRequest || null
+
+    // Draws formulas, `(tex, displayMode) => html`; the TeX source by default
+    this.renderMath = options.renderMath || null
+
+    // Named formatting commands and their shortcuts
+    this.commands = new CommandRegistry({ isMac: options.isMac })
+    this.registerDefaultCommands()
+    this.setKeymap(options.keymap)
+  }
+
+  static DEFAULT_KEYMAP = {
+    'Mod-b': 'toggleBold',
+    'Mod-i': 'toggleItalic',
+    'Mod-e': 'toggleCode',
+    'Mod-k': 'insertLink',
+    'Mod-Alt-1': ['setHeading', 1],
+    'Mod-Alt-2': ['setHeading', 2],
+    'Mod-Alt-3': ['setHeading', 3],
+    'Mod-Alt-4': ['setHeading', 4],
+    'Mod-Alt-5': ['setHeading', 5],
+    'Mod-Alt-6': ['setHeading', 6],
+    'Mod-Shift-7': 'toggleOrderedList',
+    'Mod-Shift-8': 'toggleBulletList',
+    'Mod-Shift-9': 'toggleBlockquote',
+    'Mod-Enter': 'exitCodeBlock',
+    'Mod-z': 'undo',
+    'Mod-Shift-z': 'redo',
+    'Mod-y': 'redo'
+  }
+
+  static CODE_INDENT = '  '
+
+  // beforeinput formatting from touch menus and IMEs, mapped to commands.
+  // Formats with no markdown form map to null and are dropped.
+  static FORMAT_INPUT_COMMANDS = {
+    formatBold: 'toggleBold',
+    formatItalic: 'toggleItalic',
+    formatUnderline: null,
+    formatStrikeThrough: null,
+    formatSuperscript: null,
+    formatSubscript: null,
+    formatFontColor: null,
+    formatBackColor: null,
+    formatFontName: null,
+    formatJustifyFull: null,
+    formatJustifyCenter: null,
+    formatJustifyRight: null,
+    formatJustifyLeft: null,
+    formatRemove: null
+  }
+
+  /**
+   * Whether editing commands go to native execCommand; otherwise they are
+   * carried out on the DOM by DOMCommandBackend
+   */
+  get useExecCommandOnly() {
+    return this.dom.backend instanceof NativeCommandBackend
+  }
+
+  set useExecCommandOnly(value) {
+    if (!!value === this.useExecCommandOnly) return
+    this.dom.backend = value ? new NativeCommandBackend() : new DOMCommandBackend(this.editor)
   }
 
   // ========== LOGGING ==========
@@ -37,76 +121,73 @@ export default class MarkdownBlockEditor {
   }
 
   /**
-   * Merge content from one block into another, preserving target block's styling
+   * Run a document model transform at the caret: the editor is parsed into a
+   * document, transformed, and the blocks that changed patched back in
    */
-  mergeBlocks(targetBlock, sourceBlock) {
-    const targetPosition = this.dom.getTextContent(targetBlock).length
-    const sourceContent = this.blocks.extractTextContent(
-      this.blocks.extractInlineContent(sourceBlock)
-    )
-    
-    // Position cursor at end of target block
-    this.dom.setCaretPosition(targetBlock, targetPosition)
-    
-    // Insert source content
-    if (sourceContent.trim()) {
-      this.dom.insertText(sourceContent)
-    }
-    
-    // Remove source block
-    this.dom.selectNode(sourceBlock)
-    this.dom.deleteSelection()
-    
-    // Position cursor at merge boundary
-    this.dom.setCaretPosition(targetBlock, targetPosition)
-    
+  applyTransform(transform) {
+    const context = this.dom.getCursorContext()
+    if (!context || !context.collapsed) return false
+
+    const parsed = this.blocks.toDocument()
+    const position = this.blocks.getModelPosition(parsed.elements, context.container, context.offset)
+    if (!position) return false
+
+    const result = transform(parsed.doc, position)
+    if (!result) return false
+
+    this.log('applyTransform', transform.name, position, result.selection)
+    this.applyDocument(parsed, result)
     return true
   }
 
   /**
-   * Check and merge adjacent containers of the same type
+   * Delete a selection spanning several blocks through the document model,
+   * leaving the caret where it started. Selections inside one block, in code
+   * or ending in a table cell are left to the browser.
    */
-  mergeAdjacentContainers(referenceElement, preserveSplit = false) {
-    if (preserveSplit) return
-    
-    const current = referenceElement
-    
-    // Only consider root-level empty paragraphs
-    if (this.dom.getTagName(current) !== 'P' ||
-        this.blocks.isContainerElement(this.dom.getParentElement(current)) ||
-        !this.blocks.isBlockEmpty(current)) {
-      return
-    }
-    
-    const prevSibling = this.dom.getPreviousSibling(current)
-    const nextSibling = this.dom.getNextSibling(current)
-    
-    // Check for same-type containers
-    if (prevSibling && nextSibling &&
-        this.blocks.isContainerElement(prevSibling) &&
-        this.blocks.isContainerElement(nextSibling) &&
-        this.dom.getTagName(prevSibling) === this.dom.getTagName(nextSibling)) {
-      
-      const originalLastChild = this.dom.getLastChild(prevSibling)
-      
-      // Move all children from next to prev
-      while (this.dom.getFirstChild(nextSibling)) {
-        prevSibling.appendChild(this.dom.getFirstChild(nextSibling))
-      }
-      
-      // Remove empty paragraph and second container
-      this.dom.selectNode(current)
-      this.dom.deleteSelection()
-      
-      this.dom.selectNode(nextSibling)
-      this.dom.deleteSelection()
-      
-      // Position cursor at merge boundary
-      if (originalLastChild && this.blocks.isBlockElement(originalLastChild)) {
-        const position = this.dom.getTextContent(originalLastChild).length
-        this.dom.setCaretPosition(originalLastChild, position)
-      }
-    }
+  deleteSelection() {
+    const context = this.dom.getCursorContext()
+    if (!context || context.collapsed) return false
+
+    const parsed = this.blocks.toDocument()
+    const from = this.blocks.getModelPosition(parsed.elements, context.container, context.offset)
+    const to = this.blocks.getModelPosition(parsed.elements, context.endContainer, context.endOffset)
+    if (!from || !to) return false
+
+    const result = deleteRange(parsed.doc, from, to)
+    if (!result) return false
+
+    this.log('deleteSelection', from, to)
+    this.applyDocument(parsed, result)
+    return true
+  }
+
+  /**
+   * Delete the selection whatever it spans, across blocks through the model
+   */
+  deleteSelectedContent() {
+    return this.deleteSelection() || this.dom.deleteSelection()
+  }
+
+  /**
+   * Patch the blocks `result` changed from the `parsed` editor and select
+   * its selection
+   */
+  applyDocument(parsed, result) {
+    const options = { renderMath: this.renderMath }
+    this.patcher.patchDocument(parsed.doc, result.doc, parsed.nodes,
+      (path, from, to) => renderChildren(result.doc, path, from, to, options))
+    this.blocks.setModelSelection(result.selection)
+  }
+
+  /**
+   * Type `text` at the caret the way the browser would, markdown shortcuts
+   * included
+   */
+  insertTypedText(text) {
+    if (text === ' ' && this.handleSpace()) return
+    this.dom.insertText(text)
+    this.handleTextInput(text)
   }
 
   // ========== MAIN HANDLERS ==========
@@ -120,10 +201,23 @@ export default class MarkdownBlockEditor {
       return false
     }
     
-    // Let browser handle range selections
+    // Selections across blocks go through the model, the rest to the browser
     if (!context.collapsed) {
-      this.log('Range selection, letting browser handle')
-      return false
+      this.log('Range selection')
+      const atomic = this.blocks.getSelectedAtomicBlock()
+      return atomic ? this.removeAtomicBlock(atomic) : this.deleteSelection()
+    }
+    
+    // Undo a markdown shortcut that was just applied
+    if (this.inputRules.revertLastConversion()) {
+      this.log('Reverted input rule')
+      return true
+    }
+    
+    // Code blocks are plain text regions
+    const codeBlock = this.blocks.findCodeBlock(context.container)
+    if (codeBlock) {
+      return this.handleCodeBlockBackspace(codeBlock)
     }
     
     // Check if at block start
@@ -144,20 +238,40 @@ export default class MarkdownBlockEditor {
       isInContainer
     })
     
+    // Table cells: Backspace at a cell start never merges out of the table
+    if (this.blocks.isTableCell(blockElement)) {
+      this.log('At table cell start, keeping table intact')
+      return true
+    }
+    
+    // Task item: the first Backspace drops the checkbox
+    if (this.blocks.isTaskItem(blockElement)) {
+      this.log('Removing task checkbox')
+      return this.removeTaskCheckbox(blockElement)
+    }
+    
+    // Nested list item: lift one level instead of leaving the list
+    if (this.blocks.getParentListItem(blockElement)) {
+      this.log('Lifting nested list item')
+      return this.outdentListItems([blockElement])
+    }
+    
+    // Textblocks of editor plugins, such as definitions, merge into the block before
+    if (this.blocks.isPluginBlock(blockElement)) {
+      this.log('Merging plugin block through the document model')
+      return this.applyTransform(joinBackward)
+    }
+
     // Handle special cases first
     const isEmpty = this.blocks.isBlockEmpty(blockElement)
     const isStyledBlock = blockType !== 'paragraph'
     
     // Match original logic structure: handle blocks that are empty OR styled
     if (this.blocks.isBlockElement(blockElement) && (isEmpty || isStyledBlock)) {
-      // Special case: empty paragraph between containers - merge them
+      // Special case: empty paragraph, possibly between containers that then join
       if (blockElement.tagName === 'P' && !isInContainer) {
-        if (this.mergeContainers(blockElement)) {
-          return true
-        }
-        // Original behavior: empty paragraph that can't merge containers returns false
-        this.log('Empty paragraph with no container merge - let browser handle')
-        return false
+        this.log('Removing empty paragraph through the document model')
+        return this.applyTransform(joinBackward)
       }
 
       // Convert styled blocks to paragraph
@@ -174,113 +288,143 @@ export default class MarkdownBlockEditor {
     // Handle merging with previous block (paragraph at root level)
     if (blockType === 'paragraph' && !isInContainer) {
       this.log('Merging with previous block')
-      
+
       const previousBlock = this.blocks.getPreviousBlock(blockElement)
       if (!previousBlock) {
         this.log('No previous block found')
         return false
       }
       
-      const previousContainer = this.dom.getParentElement(previousBlock)
-      const isCrossContainer = this.blocks.isContainerElement(previousContainer) && 
-                               !this.blocks.isContainerElement(container)
-      
-      if (isCrossContainer) {
-        // Cross-container merge - matching original logic exactly
-        this.log('Cross-container merge')
-        
-        // Store cursor position before merge
-        const cursorPosition = this.dom.getTextContent(previousBlock).length
-        
-        // Position cursor at end of last child in container
+      // Paragraph text is never pulled into a table cell
+      if (this.blocks.isTableCell(previousBlock)) {
+        this.log('Previous block is a table cell, moving caret into table')
         this.dom.setCaretAtEnd(previousBlock)
-        
-        // Insert content using semantic merge (text only to preserve styling)
-        if (!this.blocks.isBlockEmpty(blockElement)) {
-          const textContent = this.blocks.extractTextContent(this.dom.getInnerHTML(blockElement))
-          if (textContent.trim()) {
-            this.dom.insertText(textContent)
-            // Move cursor back to merge boundary
-            this.dom.setCaretPosition(previousBlock, cursorPosition)
-          }
-        }
-        
-        // Remove current block
-        this.dom.selectNode(blockElement)
-        this.dom.deleteSelection()
-        
-        // Check for next container merging (matching original logic)
-        const nextSibling = this.blocks.isContainerElement(previousContainer) ?
-          this.dom.getNextSibling(previousContainer) : this.dom.getNextSibling(previousBlock)
-        
-        this.log('mergeWithPrevious: checking for next sibling to merge:', nextSibling ? this.dom.getTagName(nextSibling) : 'null')
-        
-        const containerToCompareWith = this.blocks.isContainerElement(previousContainer) ?
-          previousContainer : previousBlock
-          
-        if (nextSibling &&
-            this.blocks.isContainerElement(nextSibling) &&
-            this.dom.getTagName(nextSibling) === this.dom.getTagName(containerToCompareWith)) {
-          this.log('mergeWithPrevious: merging next container into current')
-          
-          // Move all children from next container to current container
-          while (this.dom.hasChildren(nextSibling)) {
-            const child = this.dom.getFirstChild(nextSibling)
-            containerToCompareWith.appendChild(child)
-          }
-          
-          // Remove the next container
-          this.dom.selectNode(nextSibling)
-          this.dom.deleteSelection()
-          
-          this.log('mergeWithPrevious: removed next container after merge')
-          
-          // Position cursor at the merge boundary
-          this.dom.setCaretPosition(previousBlock, cursorPosition)
-        } else {
-          // Position cursor normally if no container merge
-          this.dom.setCaretPosition(previousBlock, cursorPosition)
-        }
-        
         return true
-      } else {
-        // Same-level merge
-        this.log('Same-level merge')
-        
-        const result = this.mergeBlocks(previousBlock, blockElement)
-        
-        // Clean up empty containers
-        const blockContainer = this.dom.getParentElement(blockElement)
-        if (this.blocks.isContainerElement(blockContainer) && 
-            !this.dom.hasChildren(blockContainer)) {
-          this.dom.selectNode(blockContainer)
-          this.dom.deleteSelection()
-        }
-        
-        // Check for container merging
-        this.mergeAdjacentContainers(previousBlock)
-        
-        return result
       }
+      
+      // Merges across containers join the lists or quotes around the paragraph;
+      // a rule or image before the paragraph is removed whole
+      if (this.applyTransform(joinBackward)) {
+        return true
+      }
+
+      this.log('No textblock to merge into, moving caret back')
+      return this.moveCaretInto(previousBlock, false)
     }
     
     this.log('Fallback to browser')
     return false
   }
 
-  handleEnter() {
+  /**
+   * Forward Delete, the mirror of handleBackspace: at the end of a block the
+   * next block is merged in or an empty block removed, through the document
+   * model. Anywhere else the browser deletes.
+   */
+  handleDelete() {
+    this.log('handleDelete')
+
+    const context = this.dom.getCursorContext()
+    if (!context) return false
+
+    // Selections across blocks go through the model, the rest to the browser
+    if (!context.collapsed) {
+      const atomic = this.blocks.getSelectedAtomicBlock()
+      return atomic ? this.removeAtomicBlock(atomic) : this.deleteSelection()
+    }
+
+    const codeBlock = this.blocks.findCodeBlock(context.container)
+    if (codeBlock) {
+      return this.handleCodeBlockDelete(codeBlock)
+    }
+
+    const blockElement = this.blocks.findBlockElement(context.container)
+    if (!blockElement || !this.blocks.isAtBlockEnd(blockElement, true)) {
+      this.log('Not at block end')
+      return false
+    }
+
+    // Table cells: Delete at a cell end never merges across cells
+    if (this.blocks.isTableCell(blockElement)) {
+      this.log('At table cell end, keeping table intact')
+      return true
+    }
+
+    if (this.applyTransform(joinForward)) {
+      return true
+    }
+
+    const following = this.blocks.getFollowingElement(blockElement)
+    if (!following) {
+      this.log('No following block')
+      return false
+    }
+
+    // Tables and code are never pulled into the block: step into them instead
+    this.log('Following block cannot merge, moving caret forward')
+    const target = this.blocks.isCodeBlock(following)
+      ? this.blocks.getCodeElement(following)
+      : this.blocks.getFirstBlockIn(following) || following
+    this.dom.setCaretAtStart(target)
+    return true
+  }
+
+  handleEnter(shiftKey = false) {
     this.log('handleEnter')
     
     const context = this.dom.getCursorContext()
     if (!context) return false
+
+    // A selection across blocks is deleted first, then Enter applies at the caret
+    if (!context.collapsed && this.deleteSelection()) {
+      if (!this.handleEnter(shiftKey)) {
+        if (shiftKey) {
+          this.dom.insertHTML('<br>')
+        } else {
+          this.dom.insertParagraph()
+        }
+      }
+      return true
+    }
+    
+    // Priority 0: Fenced code shortcut (```lang + Enter)
+    if (this.inputRules.applyBlockRule('Enter')) {
+      this.log('Applied input rule on enter')
+      return true
+    }
     
     const container = context.range.commonAncestorContainer
     
-    // Priority 1: Check if we're in an empty block
+    // Priority 1: Code blocks take Enter as a newline
+    const codeBlock = this.blocks.findCodeBlock(container)
+    if (codeBlock) {
+      this.log('Enter in code block')
+      return this.handleCodeBlockEnter(codeBlock)
+    }
+    
+    // Priority 2: Table cells move down a row, growing the table at the end
+    const cell = this.blocks.findTableCell(container)
+    if (cell) {
+      this.log('Enter in table cell')
+      return this.moveToCellBelow(cell)
+    }
+    
+    // Priority 3: Check if we're in an empty block
     const emptyBlock = this.blocks.findEmptyBlock(container)
     if (emptyBlock) {
       this.log('Empty block enter:', emptyBlock)
       
+      // Empty nested list item: lift one level
+      if (this.blocks.getParentListItem(emptyBlock.block)) {
+        this.log('Lifting empty nested list item')
+        return this.outdentListItems([emptyBlock.block])
+      }
+      
+      // Leaving the list: the paragraph must not keep the checkbox
+      if (this.blocks.isTaskItem(emptyBlock.block)) {
+        this.removeTaskCheckbox(emptyBlock.block)
+      }
+      
       if (emptyBlock.container) {
         // Use unified conversion for all container exits
         this.log('Converting empty block in container')
@@ -291,13 +435,20 @@ export default class MarkdownBlockEditor {
       }
     }
     
-    // Priority 2: End of inline element
+    // Priority 4: Task items continue with a new unchecked task
+    const taskItem = this.blocks.findListItem(container)
+    if (taskItem && this.blocks.isTaskItem(taskItem)) {
+      this.log('Splitting task item')
+      return this.splitTaskItem(taskItem)
+    }
+    
+    // Priority 5: End of inline element
     if (this.blocks.isAtEndOfInlineElement()) {
       this.log('At end of inline element')
       return this.dom.insertEmptyParagraph()
     }
     
-    // Priority 3: Non-empty block in container at end
+    // Priority 6: Non-empty block in container at end
     const blockInContainer = this.blocks.findBlockInContainer(container)
     if (blockInContainer && !this.blocks.isBlockEmpty(blockInContainer.block)) {
       if (this.blocks.isAtBlockEnd(blockInContainer.block)) {
@@ -317,57 +468,1130 @@ export default class MarkdownBlockEditor {
       }
     }
     
-    // Let browser handle default cases (splitting content)
+    // Shift+Enter keeps the native line break
+    if (shiftKey) return false
+
+    // Priority 7: Split the block through the document model
+    return this.applyTransform(splitBlock)
+  }
+
+  handleSpace() {
+    this.log('handleSpace')
+    if (this.inputRules.applyBlockRule(' ')) return true
+
+    // The space goes after a new autolink, never into it
+    if (this.inputRules.applyAutolink()) {
+      this.dom.insertText(' ')
+      return true
+    }
+    return false
+  }
+
+  handleTextInput(text) {
+    return this.inputRules.applyInlineRule(text)
+  }
+
+  resetInputRules() {
+    this.inputRules.reset()
+  }
+
+  /**
+   * Handle a beforeinput `inputType` with the handler of the matching key, so
+   * virtual keyboards, menus and spell checking take the same path as the
+   * keyboard. Returns true when the browser's default action must be prevented.
+   * Composition input never reaches here.
+   */
+  handleBeforeInput(inputType, data = null) {
+    this.log('handleBeforeInput', inputType, data)
+
+    // Only an immediate Backspace may revert a markdown shortcut
+    if (inputType !== 'deleteContentBackward') {
+      this.resetInputRules()
+    }
+
+    switch (inputType) {
+      case 'deleteContentBackward':
+      case 'deleteWordBackward':
+      case 'deleteSoftLineBackward':
+      case 'deleteHardLineBackward':
+        return this.handleBackspace()
+      case 'deleteContentForward':
+      case 'deleteWordForward':
+      case 'deleteSoftLineForward':
+      case 'deleteHardLineForward':
+        return this.handleDelete()
+      case 'insertParagraph':
+        return this.handleEnter(false)
+      case 'insertLineBreak':
+        return this.handleEnter(true)
+      case 'insertText':
+      case 'insertReplacementText':
+        // Text replacing a selection across blocks lands where it started
+        if (data && this.deleteSelection()) {
+          this.insertTypedText(data)
+          return true
+        }
+        return inputType === 'insertText' && data === ' ' ? this.handleSpace() : false
+      case 'deleteByCut':
+      case 'deleteByDrag':
+        return this.deleteSelection()
+      case 'formatIndent':
+      case 'formatOutdent':
+        // Like Tab, never the browser's margin-styled indent
+        this.handleTab(inputType === 'formatOutdent')
+        return true
+    }
+
+    if (inputType in MarkdownBlockEditor.FORMAT_INPUT_COMMANDS) {
+      const command = MarkdownBlockEditor.FORMAT_INPUT_COMMANDS[inputType]
+      if (command) this.runCommand(command)
+      return true
+    }
     return false
   }
 
-  handleTab() {
+  handleTab(shiftKey = false) {
+    const context = this.dom.getCursorContext()
+    const codeBlock = context && this.blocks.findCodeBlock(context.container)
+    if (codeBlock) {
+      return this.indentCodeLines(codeBlock, shiftKey)
+    }
+
+    const cell = context && this.blocks.findTableCell(context.container)
+    if (cell) {
+      return this.moveToAdjacentCell(cell, shiftKey ? -1 : 1)
+    }
+
+    const items = this.blocks.getListItemsInSelection()
+    if (items.length) {
+      return shiftKey ? this.outdentListItems(items) : this.indentListItems(items)
+    }
+
+    if (shiftKey) return false
+
     this.dom.insertHTML('&nbsp;&nbsp;&nbsp;&nbsp;')
     return true
   }
 
-  // ========== Container Operations ==========
+  // ========== List Operations ==========
 
-  mergeContainers(blockElement) {
-    const mergeInfo = this.blocks.canMergeContainers(blockElement)
-    if (!mergeInfo) {
-      return false
+  /**
+   * Nest list items under their previous sibling item, reusing its sublist
+   */
+  indentListItems(items) {
+    const first = items[0]
+    const previousItem = this.dom.getPreviousSibling(first)
+    if (!previousItem || this.dom.getTagName(previousItem) !== 'LI') {
+      this.log('First list item cannot be indented')
+      return true
+    }
+
+    const list = this.dom.getParentElement(first)
+    const saved = this.dom.saveSelection()
+
+    let sublist = this.blocks.getSublist(previousItem)
+    if (!sublist) {
+      sublist = this.dom.createElement(this.dom.getTagName(list).toLowerCase())
+      this.dom.appendChild(previousItem, sublist)
+    }
+
+    // Items keep their own sublists, so their children move down with them
+    items.forEach(item => this.dom.appendChild(sublist, item))
+
+    this.dom.restoreSelection(saved)
+    return true
+  }
+
+  /**
+   * Lift list items one level. Following siblings become children of the last
+   * lifted item so document order is preserved. Top-level items leave the list.
+   */
+  outdentListItems(items) {
+    const first = items[0]
+    const last = items[items.length - 1]
+    const parentItem = this.blocks.getParentListItem(first)
+
+    if (!parentItem) {
+      if (items.length === 1) {
+        return this.convertBlockToParagraph(first)
+      }
+      return this.dom.outdent()
+    }
+
+    const list = this.dom.getParentElement(first)
+    const saved = this.dom.saveSelection()
+
+    // Siblings after the lifted items move into the last item's sublist
+    const trailing = []
+    let next = this.dom.getNextSibling(last)
+    while (next) {
+      trailing.push(next)
+      next = this.dom.getNextSibling(next)
+    }
+
+    if (trailing.length) {
+      let sublist = this.blocks.getSublist(last)
+      if (!sublist) {
+        sublist = this.dom.createElement(this.dom.getTagName(list).toLowerCase())
+        this.dom.appendChild(last, sublist)
+      }
+      trailing.forEach(item => this.dom.appendChild(sublist, item))
     }
 
-    this.log('Merging containers by deleting empty paragraph between them')
+    let reference = parentItem
+    items.forEach(item => {
+      this.dom.insertAfter(item, reference)
+      reference = item
+    })
+
+    if (!this.dom.hasChildren(list)) {
+      this.dom.removeNode(list)
+    }
+
+    this.dom.restoreSelection(saved)
+    return true
+  }
+
+  // ========== Code Blocks ==========
+
+  isInCodeBlock() {
+    const context = this.dom.getCursorContext()
+    return !!context && !!this.blocks.findCodeBlock(context.container)
+  }
+
+  getCodeBlockAtCaret() {
+    const context = this.dom.getCursorContext()
+    if (!context || !this.editor.contains(context.container)) return null
+    return this.blocks.findCodeBlock(context.container)
+  }
+
+  /**
+   * Caret offsets inside the code text, or null when the selection leaves it
+   */
+  getCodeSelection(code) {
+    const context = this.dom.getCursorContext()
+    if (!context || !code.contains(context.container) || !code.contains(context.endContainer)) {
+      return null
+    }
+
+    const start = this.dom.getTextBeforeCaret(code).length
+    return { start, end: start + context.range.toString().length, collapsed: context.collapsed }
+  }
+
+  handleCodeBlockEnter(pre) {
+    const code = this.blocks.getCodeElement(pre)
+    const selection = this.getCodeSelection(code)
+    if (!selection) return true
+
+    if (!selection.collapsed) {
+      this.dom.deleteSelection()
+    }
 
-    const { block, prevContainer, nextContainer } = mergeInfo
-    const strategy = this.blocks.getContainerMergeStrategy(prevContainer, nextContainer)
+    const text = this.dom.getTextContent(code)
+    const before = text.substring(0, selection.start)
+    const after = text.substring(selection.start)
 
-    if (strategy.requiresSpecialHandling && strategy.type === 'blockquote') {
-      return this.mergeBlockquoteContainers(prevContainer, nextContainer, block)
+    // Enter on two trailing blank lines leaves the block
+    if (/\n\n$/.test(before) && /^\n?$/.test(after)) {
+      this.log('Exiting code block after blank lines')
+      this.dom.selectTextRange(code, selection.start - 2, text.length)
+      this.dom.deleteSelection()
+      return this.exitCodeBlock(pre)
+    }
+
+    // A newline at the very end is not rendered, so keep a trailing sentinel
+    if (after === '') {
+      this.dom.insertText('\n\n')
+      this.dom.setCaretPosition(code, selection.start + 1)
     } else {
-      return this.mergeContainersSimple(prevContainer, nextContainer, block)
+      this.dom.insertText('\n')
     }
+    return true
   }
 
-  mergeBlockquoteContainers(prevContainer, nextContainer, emptyBlock) {
-    const lastChild = this.dom.getLastChild(prevContainer)
-    
-    // Insert content from next container into prev container
-    this.dom.setCaretAfter(lastChild)
-    this.dom.insertParagraph()
-    this.dom.insertHTML(this.dom.getInnerHTML(nextContainer))
-    
-    // Delete the empty paragraph and next container
-    const range = this.blocks.createRangeForElements(emptyBlock, nextContainer, 'before', 'after')
-    this.blocks.applyRangeAndDelete(range)
-    
-    // Fix cursor position
-    if (lastChild) {
-      this.dom.setCaretAfter(lastChild)
+  handleCodeBlockBackspace(pre) {
+    const code = this.blocks.getCodeElement(pre)
+    const selection = this.getCodeSelection(code)
+    if (!selection || !selection.collapsed || selection.start > 0) {
+      return false
     }
-    
+
+    // Backspace in an empty code block turns it back into a paragraph
+    if (/^\n?$/.test(this.dom.getTextContent(code))) {
+      this.log('Converting empty code block to paragraph')
+      this.dom.selectNode(pre)
+      this.dom.insertHTML('<p><br></p>')
+      return true
+    }
+
+    this.log('At code block start, keeping code block')
+    return true
+  }
+
+  handleCodeBlockDelete(pre) {
+    const code = this.blocks.getCodeElement(pre)
+    const selection = this.getCodeSelection(code)
+    if (!selection || !selection.collapsed) return false
+
+    // The trailing newline of the code element is not content
+    const length = this.dom.getTextContent(code).replace(/\n$/, '').length
+    if (selection.start < length) return false
+
+    this.log('At code block end, keeping code block')
+    return true
+  }
+
+  /**
+   * Indent or outdent every line touched by the selection. A collapsed caret
+   * with Tab just inserts the indent.
+   */
+  indentCodeLines(pre, outdent = false) {
+    const code = this.blocks.getCodeElement(pre)
+    const selection = this.getCodeSelection(code)
+    if (!selection) return true
+
+    const indent = MarkdownBlockEditor.CODE_INDENT
+    if (!outdent && selection.collapsed) {
+      return this.dom.insertText(indent)
+    }
+
+    const text = this.dom.getTextContent(code)
+    const lineStart = selection.start > 0 ? text.lastIndexOf('\n', selection.start - 1) + 1 : 0
+    let lineEnd = text.indexOf('\n', Math.max(selection.end - 1, selection.start))
+    if (selection.end > selection.start && text[selection.end - 1] === '\n') {
+      lineEnd = selection.end - 1
+    }
+    if (lineEnd === -1) lineEnd = text.length
+
+    let firstDelta = null
+    let totalDelta = 0
+    const lines = text.substring(lineStart, lineEnd).split('\n').map(line => {
+      let updated
+      if (outdent) {
+        const removable = line.match(new RegExp(`^(\\t| {1,${indent.length}})`))
+        updated = removable ? line.substring(removable[0].length) : line
+      } else {
+        updated = indent + line
+      }
+
+      const delta = updated.length - line.length
+      if (firstDelta === null) firstDelta = delta
+      totalDelta += delta
+      return updated
+    })
+
+    if (totalDelta === 0) return true
+
+    this.dom.selectTextRange(code, lineStart, lineEnd)
+    this.dom.insertText(lines.join('\n'))
+
+    const start = Math.max(lineStart, selection.start + firstDelta)
+    const end = Math.max(start, selection.end + totalDelta)
+    this.dom.selectTextRange(code, start, end)
     return true
   }
 
-  mergeContainersSimple(prevContainer, nextContainer, emptyBlock) {
-    const range = this.blocks.createSelectionForContainerMerge(prevContainer, nextContainer)
-    return this.blocks.applyRangeAndDelete(range)
+  exitCodeBlock(pre = this.getCodeBlockAtCaret()) {
+    if (!pre) return false
+
+    this.dom.setCaretAfter(pre)
+    this.dom.insertEmptyParagraph()
+
+    const paragraph = this.dom.getNextSibling(pre)
+    if (paragraph) {
+      this.dom.setCaretAtStart(paragraph)
+    }
+    return true
   }
+
+  setCodeLanguage(pre, language) {
+    const code = this.blocks.getCodeElement(pre)
+    const classes = (code.getAttribute('class') || '')
+      .split(/\s+/)
+      .filter(name => name && !/^(language|lang)-/.test(name))
+
+    if (language) {
+      classes.unshift(LANGUAGE_CLASS_PREFIX + language)
+    }
+
+    if (classes.length) {
+      code.setAttribute('class', classes.join(' '))
+    } else {
+      code.removeAttribute('class')
+    }
+    return true
+  }
+
+  // ========== Table Operations ==========
+
+  insertTable(rows = 2, columns = 2) {
+    const block = this.blocks.getBlockAtCaret()
+    if (block && this.blocks.isTableCell(block.element)) return false
+
+    const existing = new Set(this.editor.querySelectorAll('table'))
+    const html = tableHTML(rows, columns)
+
+    if (block && block.type === 'paragraph' && this.blocks.isBlockEmpty(block.element)) {
+      this.dom.selectNode(block.element)
+      this.dom.insertHTML(html + '<p><br></p>')
+    } else if (block) {
+      const root = this.blocks.getRootContainer(block.element) || block.element
+      this.dom.setCaretAfter(root)
+      this.dom.insertHTML(html)
+    } else {
+      this.dom.insertHTML(html)
+    }
+
+    const table = Array.from(this.editor.querySelectorAll('table')).find(t => !existing.has(t))
+    if (table) {
+      this.dom.setCaretAtStart(table.rows[0].cells[0])
+    }
+    return true
+  }
+
+  moveToAdjacentCell(cell, direction) {
+    const { table, row, rows } = this.blocks.getCellPosition(cell)
+    const cells = this.blocks.getTableCells(table)
+    let target = cells[cells.indexOf(cell) + direction]
+
+    if (!target && direction > 0 && row === rows[rows.length - 1]) {
+      const newRow = this.insertRow(row, 'after')
+      target = newRow.cells[0]
+    }
+
+    if (target) {
+      this.dom.setCaretAtEnd(target)
+    }
+    return true
+  }
+
+  moveToCellBelow(cell) {
+    const { table, rows, rowIndex, columnIndex } = this.blocks.getCellPosition(cell)
+
+    let target = this.blocks.getCellAt(table, rowIndex + 1, columnIndex)
+    if (!target) {
+      const newRow = this.insertRow(rows[rows.length - 1], 'after')
+      target = newRow.cells[columnIndex] || newRow.cells[0]
+    }
+
+    this.dom.setCaretAtStart(target)
+    return true
+  }
+
+  /**
+   * Add an empty body row next to a row. Rows added after the header row
+   * become the first body row.
+   */
+  insertRow(referenceRow, position = 'after') {
+    const { table, isHeader, rows } = this.blocks.getCellPosition(referenceRow.cells[0])
+    const headerRow = rows[0]
+
+    const newRow = this.dom.createElement('tr')
+    Array.from(headerRow.cells).forEach(headerCell => {
+      // Cell markup only parses inside a row
+      const template = this.dom.createElement('tr')
+      template.innerHTML = tableCellHTML('td', getCellAlignment(headerCell))
+      this.dom.appendChild(newRow, template.firstChild)
+    })
+
+    if (isHeader) {
+      let body = table.tBodies[0]
+      if (!body) {
+        body = this.dom.createElement('tbody')
+        this.dom.appendChild(table, body)
+      }
+      if (body.firstChild) {
+        this.dom.insertBefore(newRow, body.firstChild)
+      } else {
+        this.dom.appendChild(body, newRow)
+      }
+    } else if (position === 'before') {
+      this.dom.insertBefore(newRow, referenceRow)
+    } else {
+      this.dom.insertAfter(newRow, referenceRow)
+    }
+
+    return newRow
+  }
+
+  insertColumn(cell, side = 'right') {
+    const { rows, columnIndex } = this.blocks.getCellPosition(cell)
+    const index = side === 'left' ? columnIndex : columnIndex + 1
+
+    rows.forEach(row => {
+      const reference = row.cells[index]
+      const template = this.dom.createElement('tr')
+      template.innerHTML = tableCellHTML(this.dom.getTagName(row.cells[0]).toLowerCase())
+      if (reference) {
+        this.dom.insertBefore(template.firstChild, reference)
+      } else {
+        this.dom.appendChild(row, template.firstChild)
+      }
+    })
+
+    this.dom.setCaretAtStart(rows[0].cells[index])
+    return true
+  }
+
+  deleteRow(cell) {
+    const { table, row, rows, rowIndex, columnIndex, isHeader } = this.blocks.getCellPosition(cell)
+
+    // GFM tables always keep their header row
+    if (isHeader) return false
+    if (rows.length <= 2) return this.deleteTable(table)
+
+    const target = this.blocks.getCellAt(table, rowIndex + 1, columnIndex) ||
+      this.blocks.getCellAt(table, rowIndex - 1, columnIndex)
+
+    this.dom.removeNode(row)
+    this.dom.setCaretAtEnd(target)
+    return true
+  }
+
+  deleteColumn(cell) {
+    const { table, rows, columnIndex, columnCount } = this.blocks.getCellPosition(cell)
+    if (columnCount <= 1) return this.deleteTable(table)
+
+    rows.forEach(row => {
+      if (row.cells[columnIndex]) {
+        this.dom.removeNode(row.cells[columnIndex])
+      }
+    })
+
+    const target = rows[0].cells[Math.min(columnIndex, columnCount - 2)]
+    this.dom.setCaretAtEnd(target)
+    return true
+  }
+
+  deleteTable(table) {
+    this.dom.selectNode(table)
+    this.dom.deleteSelection()
+    return true
+  }
+
+  runOnCell(operation) {
+    const context = this.dom.getCursorContext()
+    const cell = context && this.blocks.findTableCell(context.container)
+    return cell ? operation(cell) : false
+  }
+
+  // ========== Task Items ==========
+
+  removeTaskCheckbox(listItem) {
+    const checkbox = this.blocks.getTaskCheckbox(listItem)
+    if (!checkbox) return false
+
+    this.dom.selectNode(checkbox)
+    this.dom.deleteSelection()
+    return true
+  }
+
+  /**
+   * Move the content after the caret into a new unchecked task item
+   */
+  splitTaskItem(listItem) {
+    const context = this.dom.getCursorContext()
+    if (!context || !context.collapsed) return false
+
+    const sublist = this.blocks.getSublist(listItem)
+    const endOffset = sublist
+      ? Array.prototype.indexOf.call(listItem.childNodes, sublist)
+      : listItem.childNodes.length
+
+    this.dom.selectRange(context.container, context.offset, listItem, endOffset)
+    const tail = this.dom.getSelectedHTML()
+    const hasTail = this.blocks.extractTextContent(tail).trim() !== ''
+
+    if (hasTail) {
+      this.dom.deleteSelection()
+    }
+
+    this.dom.setCaretAfter(listItem)
+    this.dom.insertHTML(
+      `<li class="${TASK_ITEM_CLASS}">${taskCheckboxHTML(false)}${hasTail ? tail : '<br>'}</li>`
+    )
+
+    const newItem = this.dom.getNextSibling(listItem)
+    const checkbox = newItem && this.blocks.getTaskCheckbox(newItem)
+    if (checkbox) {
+      this.dom.setCaretAfter(checkbox)
+    }
+    return true
+  }
+
+  toggleTaskChecked(checkbox) {
+    if (!this.blocks.isTaskCheckbox(checkbox)) return false
+
+    const checked = !checkbox.hasAttribute('checked')
+    if (checked) {
+      checkbox.setAttribute('checked', '')
+    } else {
+      checkbox.removeAttribute('checked')
+    }
+    checkbox.checked = checked
+    return true
+  }
+
+  /**
+   * Turn the caret block into a task item, or a task item back into a list item
+   */
+  toggleTask() {
+    let block = this.blocks.getBlockAtCaret()
+    if (!block || block.type === 'table-cell') return false
+
+    if (block.type === 'task-item') {
+      return this.removeTaskCheckbox(block.element)
+    }
+
+    if (block.type !== 'list-item') {
+      this.dom.insertUnorderedList()
+      block = this.blocks.getBlockAtCaret()
+      if (!block || block.type !== 'list-item') return false
+    }
+
+    const saved = this.dom.saveSelection()
+    this.dom.setCaretAtStart(block.element)
+    this.dom.insertHTML(taskCheckboxHTML(false))
+    this.dom.restoreSelection(saved)
+    return true
+  }
+
+  // ========== Paste ==========
+
+  /**
+   * Paste document blocks at the caret, replacing the selection. Inline-only
+   * content goes into the caret block, anything else splits it. Code blocks
+   * take `text` as is, and table cells flatten it when it spans blocks.
+   */
+  pasteBlocks(blocks, text = '') {
+    const context = this.dom.getCursorContext()
+    if (!context) return false
+    this.resetInputRules()
+
+    if (!context.collapsed) this.deleteSelectedContent()
+
+    if (this.isInCodeBlock()) {
+      return !!text && this.dom.insertText(text)
+    }
+    if (!blocks.length) return !context.collapsed
+
+    const pasteAtCaret = (doc, position) => insertBlocks(doc, position, blocks)
+    if (this.applyTransform(pasteAtCaret)) return true
+
+    this.log('pasteBlocks: inserting flattened text')
+    return !!text && this.dom.insertText(text.replace(/\s*\n\s*/g, ' '))
+  }
+
+  // ========== Atomic Blocks ==========
+
+  selectAtomicBlock(element) {
+    this.dom.selectNode(element)
+    return true
+  }
+
+  /**
+   * Remove a rule or image as a whole, leaving the caret in the block after it
+   * or else the one before it
+   */
+  removeAtomicBlock(element) {
+    const next = this.blocks.getNextBlock(element)
+    const previous = this.blocks.getPreviousBlock(element)
+
+    // A block alone in the document leaves an empty paragraph behind
+    if (!next && !previous) {
+      const paragraph = this.dom.createElement('p')
+      paragraph.appendChild(this.dom.createElement('br'))
+      this.dom.getParentElement(element).replaceChild(paragraph, element)
+      this.dom.setCaretAtStart(paragraph)
+      return true
+    }
+
+    this.dom.removeNode(element)
+    return this.moveCaretInto(next || previous, !!next)
+  }
+
+  /**
+   * Arrow keys: Left and Right at the edge of a block step onto a rule or
+   * image next to it, selecting it whole, and any arrow on a selected one
+   * moves on to the block beyond. Up and Down elsewhere are the browser's.
+   */
+  handleArrow(key) {
+    const context = this.dom.getCursorContext()
+    if (!context) return false
+    const forward = key === 'ArrowRight' || key === 'ArrowDown'
+
+    const selected = this.blocks.getSelectedAtomicBlock()
+    if (selected) {
+      return this.leaveAtomicBlock(selected, forward)
+    }
+
+    if (!context.collapsed || (key !== 'ArrowLeft' && key !== 'ArrowRight')) return false
+
+    const block = this.blocks.findBlockElement(context.container)
+    if (!block) return false
+
+    const atEdge = forward
+      ? this.blocks.isAtBlockEnd(block, true)
+      : this.blocks.isAtBlockStart(context.container, context.offset).atStart
+    if (!atEdge) return false
+
+    const neighbour = forward ? this.blocks.getNextBlock(block) : this.blocks.getPreviousBlock(block)
+    if (!this.blocks.isAtomicBlock(neighbour)) return false
+
+    this.log('Stepping onto atomic block', neighbour.tagName)
+    return this.selectAtomicBlock(neighbour)
+  }
+
+  /**
+   * Move from a selected atomic block to the block beyond it; at the edge of
+   * the document a new paragraph gives the caret somewhere to go
+   */
+  leaveAtomicBlock(element, forward) {
+    const sibling = forward ? this.dom.getNextSibling(element) : this.dom.getPreviousSibling(element)
+    const target = this.blocks.isCodeBlock(sibling)
+      ? this.blocks.getCodeElement(sibling)
+      : forward ? this.blocks.getNextBlock(element) : this.blocks.getPreviousBlock(element)
+
+    if (target) {
+      return this.moveCaretInto(target, forward)
+    }
+
+    const paragraph = this.dom.createElement('p')
+    paragraph.appendChild(this.dom.createElement('br'))
+    if (forward) {
+      this.dom.insertAfter(paragraph, element)
+    } else {
+      this.dom.getParentElement(element).insertBefore(paragraph, element)
+    }
+    this.dom.setCaretAtStart(paragraph)
+    return true
+  }
+
+  moveCaretInto(block, atStart) {
+    if (this.blocks.isAtomicBlock(block)) {
+      return this.selectAtomicBlock(block)
+    }
+    if (atStart) {
+      this.dom.setCaretAtStart(block)
+    } else {
+      this.dom.setCaretAtEnd(block)
+    }
+    return true
+  }
+
+  /**
+   * Insert a rule at the caret, splitting the block it is in
+   */
+  insertHorizontalRule() {
+    return this.pasteBlocks([createBlock('horizontal_rule')])
+  }
+
+  // ========== Math ==========
+
+  selectMath(element) {
+    this.dom.selectNode(element)
+    return true
+  }
+
+  /**
+   * Insert a formula at the caret, inline or as a display block, taking the
+   * selected text as its source. The new formula is left selected.
+   */
+  insertMath(displayMode = false) {
+    const context = this.dom.getCursorContext()
+    if (!context || this.isInCodeBlock()) return false
+    const tex = context.collapsed ? '' : context.selection.toString()
+
+    if (displayMode) {
+      if (!this.pasteBlocks([createBlock('math_block', { tex })])) return false
+      const block = this.blocks.findBlockElement(this.dom.getCursorContext().container)
+      const math = block && this.blocks.getPreviousBlock(block)
+      return isMathBlock(math) ? this.selectMath(math) : true
+    }
+
+    this.inputRules.reset()
+    this.deleteSelectedContent()
+    this.dom.insertHTML(mathHTML(tex, false, this.renderMath))
+
+    // The caret ends up after the formula, or inside it in some browsers
+    const after = this.dom.getCursorContext()
+    const math = this.blocks.findMathElement(after.container) || (after.container.nodeType === Node.TEXT_NODE
+      ? (after.offset === 0 ? after.container.previousSibling : null)
+      : after.container.childNodes[after.offset - 1])
+    return isMathInline(math) ? this.selectMath(math) : true
+  }
+
+  /**
+   * Replace the source of a formula and draw it again
+   */
+  setMathSource(element, tex) {
+    if (element.getAttribute('data-tex') === tex) return false
+
+    const template = this.dom.createElement('template')
+    template.innerHTML = mathHTML(tex, isMathBlock(element), this.renderMath)
+    const rendered = template.content.firstChild
+    element.setAttribute('data-tex', tex)
+    element.replaceChildren(...rendered.childNodes)
+    return true
+  }
+
+  /**
+   * Remove a formula, leaving the caret where it was
+   */
+  removeMath(element) {
+    if (isMathBlock(element)) {
+      return this.removeAtomicBlock(element)
+    }
+    this.dom.setCaretAfter(element)
+    this.dom.removeNode(element)
+    return true
+  }
+
+  // ========== Images ==========
+
+  /**
+   * Insert image blocks at the caret, splitting the block it is in. Each
+   * image is `{ src, alt, title, upload }`, `upload` marking a placeholder.
+   */
+  insertImages(images) {
+    const blocks = images.map(image => createBlock('image_block', {
+      src: image.src || '',
+      alt: image.alt || '',
+      title: image.title || '',
+      upload: image.upload || null
+    }))
+    return this.pasteBlocks(blocks)
+  }
+
+  setImageAlt(figure, alt) {
+    const img = figure.querySelector('img')
+    if (!img || img.getAttribute('alt') === alt) return false
+    img.setAttribute('alt', alt)
+    return true
+  }
+
+  /**
+   * Turn an upload placeholder into the final image block. The history takes
+   * the result into every snapshot too, so the upload is no undo step of its
+   * own and undo never brings the placeholder back.
+   */
+  finishImageUpload(uploadId, src) {
+    const finish = root => finishUploadPlaceholder(root, uploadId, src)
+    this.history.rewrite(finish)
+    return finish(this.editor)
+  }
+
+  /**
+   * Drop the placeholder of a failed upload, from the history as well,
+   * leaving the caret alone
+   */
+  cancelImageUpload(uploadId) {
+    const remove = root => removeUploadPlaceholder(root, uploadId)
+    this.history.rewrite(remove)
+    return remove(this.editor)
+  }
+
+  // ========== Commands ==========
+
+  registerDefaultCommands() {
+    const hasMark = mark => this.blocks.getActiveMarks().includes(mark)
+    const currentBlock = () => this.blocks.getBlockAtCaret()
+
+    this.commands.register('toggleBold', {
+      run: () => !this.isInCodeBlock() && this.dom.bold(),
+      isActive: () => hasMark('strong')
+    })
+
+    this.commands.register('toggleItalic', {
+      run: () => !this.isInCodeBlock() && this.dom.italic(),
+      isActive: () => hasMark('em')
+    })
+
+    this.commands.register('toggleCode', {
+      run: () => this.toggleCodeMark(),
+      isActive: () => hasMark('code')
+    })
+
+    this.commands.register('setParagraph', {
+      run: () => {
+        const block = currentBlock()
+        return !!block && this.convertBlockToParagraph(block.element)
+      },
+      isActive: () => {
+        const block = currentBlock()
+        return !!block && block.type === 'paragraph'
+      }
+    })
+
+    this.commands.register('setHeading', {
+      run: level => this.setHeading(level),
+      isActive: level => {
+        const block = currentBlock()
+        return !!block && block.type === 'heading' && (!level || block.level === level)
+      }
+    })
+
+    this.commands.register('toggleBulletList', {
+      run: () => this.dom.insertUnorderedList(),
+      isActive: () => {
+        const block = currentBlock()
+        return !!block && block.type === 'list-item' && block.containerType === 'ul'
+      }
+    })
+
+    this.commands.register('toggleOrderedList', {
+      run: () => this.dom.insertOrderedList(),
+      isActive: () => {
+        const block = currentBlock()
+        return !!block && block.type === 'list-item' && block.containerType === 'ol'
+      }
+    })
+
+    this.commands.register('toggleTask', {
+      run: () => this.toggleTask(),
+      isActive: () => {
+        const block = currentBlock()
+        return !!block && block.type === 'task-item'
+      }
+    })
+
+    this.commands.register('toggleBlockquote', {
+      run: () => this.toggleBlockquote(),
+      isActive: () => {
+        const block = currentBlock()
+        return !!block && !!this.blocks.findContainerAncestor(block.element, 'BLOCKQUOTE')
+      }
+    })
+
+    this.commands.register('insertLink', {
+      run: (href, title) => !this.isInCodeBlock() && this.insertLink(href, title),
+      isActive: () => hasMark('link')
+    })
+
+    this.commands.register('insertTable', {
+      run: (rows, columns) => this.insertTable(rows, columns),
+      isActive: () => {
+        const block = currentBlock()
+        return !!block && block.type === 'table-cell'
+      }
+    })
+
+    this.commands.register('insertRowAbove', {
+      run: () => this.runOnCell(cell => this.insertRow(cell.parentElement, 'before') && true)
+    })
+
+    this.commands.register('insertRowBelow', {
+      run: () => this.runOnCell(cell => this.insertRow(cell.parentElement, 'after') && true)
+    })
+
+    this.commands.register('insertColumnLeft', {
+      run: () => this.runOnCell(cell => this.insertColumn(cell, 'left'))
+    })
+
+    this.commands.register('insertColumnRight', {
+      run: () => this.runOnCell(cell => this.insertColumn(cell, 'right'))
+    })
+
+    this.commands.register('deleteRow', {
+      run: () => this.runOnCell(cell => this.deleteRow(cell))
+    })
+
+    this.commands.register('deleteColumn', {
+      run: () => this.runOnCell(cell => this.deleteColumn(cell))
+    })
+
+    this.commands.register('deleteTable', {
+      run: () => this.runOnCell(cell => this.deleteTable(cell.closest('table')))
+    })
+
+    this.commands.register('exitCodeBlock', {
+      run: () => this.exitCodeBlock(),
+      isActive: () => this.isInCodeBlock()
+    })
+
+    this.commands.register('insertMath', {
+      run: () => this.insertMath(false)
+    })
+
+    this.commands.register('insertMathBlock', {
+      run: () => this.insertMath(true)
+    })
+
+    this.commands.register('insertHorizontalRule', {
+      run: () => !this.isInCodeBlock() && this.insertHorizontalRule()
+    })
+
+    this.commands.register('undo', {
+      run: () => this.history.undo()
+    })
+
+    this.commands.register('redo', {
+      run: () => this.history.redo()
+    })
+  }
+
+  /**
+   * Replace the key bindings with the defaults plus the given overrides
+   */
+  setKeymap(overrides = {}) {
+    this.commands.clearBindings()
+    this.commands.bindKeys(MarkdownBlockEditor.DEFAULT_KEYMAP)
+    this.commands.bindKeys(overrides)
+  }
+
+  registerCommand(name, command) {
+    this.commands.register(name, command)
+  }
+
+  runCommand(name, ...args) {
+    this.log('runCommand', name, args)
+
+    if (!this.dom.isSelectionInEditor()) {
+      this.editor.focus()
+    }
+    return this.commands.run(name, ...args)
+  }
+
+  isCommandActive(name, ...args) {
+    if (!this.dom.isSelectionInEditor()) return false
+    return this.commands.isActive(name, ...args)
+  }
+
+  handleShortcut(event) {
+    const binding = this.commands.findBinding(event)
+    if (!binding) return false
+
+    const [name, ...args] = binding
+    this.log('Shortcut', this.commands.eventToShortcut(event), '->', name)
+    this.runCommand(name, ...args)
+    return true
+  }
+
+  toggleCodeMark() {
+    const context = this.dom.getCursorContext()
+    if (!context) return false
+
+    const code = this.blocks.findInlineAncestor(context.container, 'CODE')
+    if (code) {
+      // Code blocks are not inline marks
+      if (this.dom.getTagName(this.dom.getParentElement(code)) === 'PRE') return false
+
+      this.dom.selectNode(code)
+      return this.dom.insertHTML(this.dom.escapeHTML(this.dom.getTextContent(code)))
+    }
+
+    if (context.collapsed) return false
+
+    const text = context.range.toString()
+    return this.dom.insertHTML(`<code>${this.dom.escapeHTML(text)}</code>`)
+  }
+
+  setHeading(level) {
+    const block = this.blocks.getBlockAtCaret()
+    if (!block || block.type === 'table-cell') return false
+
+    if (block.type === 'heading' && block.level === level) {
+      return this.convertBlockToParagraph(block.element)
+    }
+    return this.dom.convertBlockUsingFormatBlock(block.element, 'h' + level)
+  }
+
+  toggleBlockquote() {
+    const block = this.blocks.getBlockAtCaret()
+    if (!block || block.type === 'table-cell') return false
+
+    if (this.blocks.findContainerAncestor(block.element, 'BLOCKQUOTE')) {
+      return this.convertBlockToParagraph(block.element)
+    }
+
+    const content = this.blocks.isBlockEmpty(block.element)
+      ? '<br>'
+      : this.blocks.extractInlineContent(block.element)
+
+    this.dom.selectNode(block.element)
+    this.dom.insertHTML(`<blockquote><p>${content}</p></blockquote>`)
+    return true
+  }
+
+  /**
+   * Link command: without an href, `onLinkRequest` receives the link at the
+   * caret (or null) with its href, title and text, and applies the result
+   * through setLink or removeLink; handing it over counts as handled. Without a
+   * listener, the browser prompt asks for the target and a link at the caret is
+   * removed instead.
+   */
+  insertLink(href, title) {
+    const context = this.dom.getCursorContext()
+    if (!context) return false
+
+    const link = this.getLinkAtCaret()
+    if (href === undefined) {
+      if (this.onLinkRequest) {
+        this.onLinkRequest({
+          link,
+          href: link ? link.getAttribute('href') || '' : '',
+          title: link ? link.getAttribute('title') || '' : '',
+          text: link ? link.textContent : context.selection.toString()
+        })
+        return true
+      }
+      if (link) return this.removeLink(link)
+      href = window.prompt('Link URL', 'https://')
+    }
+    return this.setLink(href, title)
+  }
+
+  getLinkAtCaret() {
+    const context = this.dom.getCursorContext()
+    if (!context || !this.editor.contains(context.container)) return null
+    return this.blocks.findInlineAncestor(context.container, 'A')
+  }
+
+  /**
+   * Point the link at the caret to `href`, or link the selection; a collapsed
+   * caret outside links inserts the URL itself as the link text
+   */
+  setLink(href, title = '') {
+    if (!href || !isSafeHref(href)) return false
+    const context = this.dom.getCursorContext()
+    if (!context) return false
+
+    href = normalizeHref(href)
+    const link = this.getLinkAtCaret()
+    if (link && context.collapsed) {
+      return this.replaceLink(link, href, title)
+    }
+
+    if (context.collapsed) {
+      return this.dom.insertHTML(linkHTML(href, title, this.dom.escapeHTML(href)))
+    }
+
+    this.dom.createLink(href)
+    const created = this.getLinkAtCaret()
+    return created && title ? this.replaceLink(created, href, title) : true
+  }
+
+  /**
+   * Insert `link` again with a new target, as an edit rather than attribute
+   * changes, keeping the caret where it was
+   */
+  replaceLink(link, href, title) {
+    const position = this.dom.getAbsoluteCaretPosition()
+    this.dom.selectNode(link)
+    this.dom.insertHTML(linkHTML(href, title, link.innerHTML))
+    this.dom.setAbsoluteCaretPosition(position)
+    return true
+  }
+
+  removeLink(link = this.getLinkAtCaret()) {
+    if (!link) return false
+    this.dom.selectNode(link)
+    return this.dom.unlink()
+  }
+
+}
+
+function linkHTML(href, title, content) {
+  const titleAttr = title ? ` title="${escapeHTML(title)}"` : ''
+  return `<a href="${escapeHTML(href)}"${titleAttr}>${content}</a>`
 }
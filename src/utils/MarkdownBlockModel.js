@@ -4,26 +4,66 @@
  * This layer provides markdown semantic understanding following the flat structure
  * principle where containers are transparent and only leaf blocks are considered.
  */
+import { TASK_CHECKBOX_CLASS } from './TaskLists'
+import { getCodeLanguage } from './CodeBlocks'
+import { isImageBlock } from './Images'
+import { isMathElement } from './Math'
+import { parseDOM } from './DocumentModel'
+import { getPluginTags } from './Plugins'
+
 export default class MarkdownBlockModel {
-  constructor(editorElement, domOps) {
+  constructor(editorElement, domOps, plugins = []) {
     this.editor = editorElement
     this.dom = domOps
+
+    // Tags editor plugins add to the ones below
+    this.pluginTags = getPluginTags(plugins)
+    this.blockTags = [...MarkdownBlockModel.BLOCK_TAGS, ...this.pluginTags.blockTags]
+    this.containerTags = [...MarkdownBlockModel.CONTAINER_TAGS, ...this.pluginTags.containerTags]
   }
 
   // ========== Block Type Constants ==========
 
-  static BLOCK_TAGS = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'LI']
-  static CONTAINER_TAGS = ['BLOCKQUOTE', 'OL', 'UL', 'PRE']
-  static INLINE_TAGS = ['STRONG', 'EM', 'B', 'I', 'CODE', 'U', 'S']
+  static BLOCK_TAGS = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'LI', 'TH', 'TD']
+  static CONTAINER_TAGS = ['BLOCKQUOTE', 'OL', 'UL', 'PRE', 'TABLE', 'THEAD', 'TBODY', 'TR']
+  static INLINE_TAGS = ['STRONG', 'EM', 'B', 'I', 'CODE', 'U', 'S', 'A']
+
+  // Inline tag -> markdown mark name
+  static MARK_TAGS = {
+    STRONG: 'strong',
+    B: 'strong',
+    EM: 'em',
+    I: 'em',
+    CODE: 'code',
+    S: 's',
+    DEL: 's',
+    STRIKE: 's',
+    A: 'link'
+  }
 
   // ========== Block Identification ==========
 
   isBlockElement(element) {
-    return element && MarkdownBlockModel.BLOCK_TAGS.includes(element.tagName)
+    return element && this.blockTags.includes(element.tagName)
   }
 
   isContainerElement(element) {
-    return element && MarkdownBlockModel.CONTAINER_TAGS.includes(element.tagName)
+    return element && this.containerTags.includes(element.tagName)
+  }
+
+  /**
+   * Textblocks added by editor plugins, edited through the document model
+   */
+  isPluginBlock(element) {
+    return !!element && this.pluginTags.blockTags.includes(element.tagName)
+  }
+
+  /**
+   * Containers whose children can be joined with a neighbour of the same type.
+   * Tables have a fixed column structure and are never merged.
+   */
+  isMergeableContainer(element) {
+    return this.isContainerElement(element) && element.tagName !== 'TABLE'
   }
 
   isInlineStyleElement(element) {
@@ -62,9 +102,15 @@ export default class MarkdownBlockModel {
     
     let type = 'unknown'
     let level = null
+    let checked = null
     
     if (tag === 'P') type = 'paragraph'
+    else if (tag === 'LI' && this.isTaskItem(element)) {
+      type = 'task-item'
+      checked = this.getTaskCheckbox(element).hasAttribute('checked')
+    }
     else if (tag === 'LI') type = 'list-item'
+    else if (tag === 'TH' || tag === 'TD') type = 'table-cell'
     else if (tag.match(/^H([1-6])$/)) {
       type = 'heading'
       level = parseInt(tag[1])
@@ -73,6 +119,7 @@ export default class MarkdownBlockModel {
     return {
       type,
       level,
+      checked,
       element,
       container: this.isContainerElement(parent) ? parent : null,
       containerType: this.isContainerElement(parent) ? parent.tagName.toLowerCase() : null
@@ -86,6 +133,7 @@ export default class MarkdownBlockModel {
     if (tag === 'BLOCKQUOTE') return 'blockquote'
     if (tag === 'PRE') return 'codeblock'
     if (tag === 'LI') return 'listitem'
+    if (tag === 'TH' || tag === 'TD') return 'tablecell'
     if (tag === 'P') return 'paragraph'
     return 'unknown'
   }
@@ -93,43 +141,149 @@ export default class MarkdownBlockModel {
   // ========== Block Traversal (Container-Transparent) ==========
 
   getPreviousBlock(block) {
-    let prev = this.dom.getPreviousSibling(block)
-
-    while (prev) {
-      if (this.isBlockElement(prev)) {
-        return prev
-      } else if (this.isContainerElement(prev)) {
-        // Return the last block inside the container
-        const lastChild = this.dom.getLastChild(prev)
-        if (lastChild && this.isBlockElement(lastChild)) {
-          return lastChild
+    let node = block
+
+    while (node && node !== this.editor) {
+      let prev = this.dom.getPreviousSibling(node)
+
+      while (prev) {
+        const last = this.getLastBlockIn(prev)
+        if (last) {
+          return last
         }
+        prev = this.dom.getPreviousSibling(prev)
       }
-      prev = this.dom.getPreviousSibling(prev)
+
+      // A nested list is preceded by the text of the list item holding it
+      const parent = this.dom.getParentElement(node)
+      if (this.isBlockElement(parent)) {
+        return parent
+      }
+      node = parent
     }
 
     return null
   }
 
   getNextBlock(block) {
-    let next = this.dom.getNextSibling(block)
+    // Blocks nested inside this one (list item sublists) come first
+    for (const child of Array.from(block.children)) {
+      if (!this.isContainerElement(child)) continue
+      const first = this.getFirstBlockIn(child)
+      if (first) {
+        return first
+      }
+    }
 
-    while (next) {
-      if (this.isBlockElement(next)) {
+    let node = block
+
+    while (node && node !== this.editor) {
+      let next = this.dom.getNextSibling(node)
+
+      while (next) {
+        const first = this.getFirstBlockIn(next)
+        if (first) {
+          return first
+        }
+        next = this.dom.getNextSibling(next)
+      }
+
+      node = this.dom.getParentElement(node)
+    }
+
+    return null
+  }
+
+  /**
+   * Element right after `block` in document order, leaving containers as
+   * needed; unlike getNextBlock this also finds code blocks and rules
+   */
+  getFollowingElement(block) {
+    let node = block
+
+    while (node && node !== this.editor) {
+      const next = this.dom.getNextSibling(node)
+      if (next) {
         return next
-      } else if (this.isContainerElement(next)) {
-        // Return the first block inside the container
-        const firstChild = this.dom.getFirstChild(next)
-        if (firstChild && this.isBlockElement(firstChild)) {
-          return firstChild
+      }
+      node = this.dom.getParentElement(node)
+    }
+
+    return null
+  }
+
+  /**
+   * First leaf block in document order at or inside an element; rules and
+   * images count as leaf blocks
+   */
+  getFirstBlockIn(element) {
+    if (this.isBlockElement(element) || this.isAtomicBlock(element)) {
+      return element
+    }
+
+    if (this.isContainerElement(element)) {
+      for (const child of Array.from(element.children)) {
+        const first = this.getFirstBlockIn(child)
+        if (first) {
+          return first
+        }
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Last leaf block in document order at or inside an element, descending
+   * into the trailing sublist of a list item
+   */
+  getLastBlockIn(element) {
+    if (this.isAtomicBlock(element)) {
+      return element
+    }
+
+    if (this.isContainerElement(element)) {
+      const children = Array.from(element.children)
+      for (let i = children.length - 1; i >= 0; i--) {
+        const last = this.getLastBlockIn(children[i])
+        if (last) {
+          return last
+        }
+      }
+      return null
+    }
+
+    if (this.isBlockElement(element)) {
+      const lastChild = this.dom.getLastChild(element)
+      if (this.isContainerElement(lastChild)) {
+        const last = this.getLastBlockIn(lastChild)
+        if (last) {
+          return last
         }
       }
-      next = this.dom.getNextSibling(next)
+      return element
     }
 
     return null
   }
 
+  /**
+   * Outermost container holding an element, directly below the editor root
+   */
+  getRootContainer(element) {
+    let root = null
+    let current = this.dom.getParentElement(element)
+
+    while (current && current !== this.editor) {
+      if (this.isContainerElement(current)) {
+        root = current
+      }
+      current = this.dom.getParentElement(current)
+    }
+
+    return root
+  }
+
   getBlockAtCaret() {
     const context = this.dom.getCursorContext()
     if (!context) return null
@@ -148,6 +302,57 @@ export default class MarkdownBlockModel {
     return null
   }
 
+  findInlineAncestor(container, tagName) {
+    let element = container.nodeType === Node.TEXT_NODE
+      ? container.parentElement
+      : container
+
+    while (element && element !== this.editor && !this.isBlockElement(element)) {
+      if (element.tagName === tagName) {
+        return element
+      }
+      element = this.dom.getParentElement(element)
+    }
+
+    return null
+  }
+
+  findContainerAncestor(element, tagName) {
+    let current = this.dom.getParentElement(element)
+
+    while (current && current !== this.editor) {
+      if (current.tagName === tagName) {
+        return current
+      }
+      current = this.dom.getParentElement(current)
+    }
+
+    return null
+  }
+
+  /**
+   * Markdown marks (strong, em, code, s, link) wrapping the caret
+   */
+  getActiveMarks() {
+    const context = this.dom.getCursorContext()
+    if (!context || !this.editor.contains(context.container)) return []
+
+    let element = context.container.nodeType === Node.TEXT_NODE
+      ? context.container.parentElement
+      : context.container
+    const marks = []
+
+    while (element && element !== this.editor && !this.isBlockElement(element)) {
+      const mark = MarkdownBlockModel.MARK_TAGS[element.tagName]
+      if (mark && !marks.includes(mark)) {
+        marks.push(mark)
+      }
+      element = this.dom.getParentElement(element)
+    }
+
+    return marks
+  }
+
   findBlockElement(container) {
     let element = container.nodeType === Node.TEXT_NODE 
       ? container.parentElement 
@@ -163,6 +368,272 @@ export default class MarkdownBlockModel {
     return null
   }
 
+  // ========== List Structure ==========
+
+  isListElement(element) {
+    return !!element && (element.tagName === 'UL' || element.tagName === 'OL')
+  }
+
+  /**
+   * List item whose sublist contains the given item, or null at top level
+   */
+  getParentListItem(listItem) {
+    const list = this.dom.getParentElement(listItem)
+    const parent = list ? this.dom.getParentElement(list) : null
+    return this.isListElement(list) && parent && parent.tagName === 'LI' ? parent : null
+  }
+
+  getListDepth(listItem) {
+    let depth = 0
+    let current = listItem
+    while ((current = this.getParentListItem(current))) {
+      depth++
+    }
+    return depth
+  }
+
+  /**
+   * Trailing sublist of a list item, if any
+   */
+  getSublist(listItem) {
+    const last = this.dom.getLastChild(listItem)
+    return this.isListElement(last) ? last : null
+  }
+
+  /**
+   * Sibling list items covered by the selection, at the level of the item
+   * holding the selection start
+   */
+  getListItemsInSelection() {
+    const context = this.dom.getCursorContext()
+    if (!context) return []
+
+    const startItem = this.findListItem(context.container)
+    if (!startItem) return []
+    if (context.collapsed) return [startItem]
+
+    const endItem = this.findListItem(context.endContainer)
+    if (!endItem || endItem === startItem) return [startItem]
+
+    // Climb from the end item to the start item's level
+    let last = endItem
+    while (last && this.dom.getParentElement(last) !== this.dom.getParentElement(startItem)) {
+      last = this.getParentListItem(last)
+    }
+    if (!last) return [startItem]
+
+    const items = []
+    let current = startItem
+    while (current) {
+      if (current.tagName === 'LI') {
+        items.push(current)
+      }
+      if (current === last) break
+      current = this.dom.getNextSibling(current)
+    }
+    return items
+  }
+
+  findListItem(container) {
+    let element = container.nodeType === Node.TEXT_NODE
+      ? container.parentElement
+      : container
+
+    while (element && element !== this.editor) {
+      if (element.tagName === 'LI') {
+        return element
+      }
+      element = this.dom.getParentElement(element)
+    }
+
+    return null
+  }
+
+  // ========== Task Items ==========
+
+  /**
+   * Checkbox owned by a list item, either directly or inside its first paragraph
+   */
+  getTaskCheckbox(listItem) {
+    if (!listItem || listItem.tagName !== 'LI') return null
+
+    const checkboxes = listItem.querySelectorAll('input.' + TASK_CHECKBOX_CLASS)
+    for (const checkbox of Array.from(checkboxes)) {
+      if (checkbox.closest('li') === listItem) {
+        return checkbox
+      }
+    }
+    return null
+  }
+
+  isTaskItem(element) {
+    return !!this.getTaskCheckbox(element)
+  }
+
+  isTaskCheckbox(element) {
+    return !!element && element.tagName === 'INPUT' &&
+      element.classList.contains(TASK_CHECKBOX_CLASS)
+  }
+
+  // ========== Code Blocks ==========
+
+  isCodeBlock(element) {
+    return !!element && element.tagName === 'PRE'
+  }
+
+  findCodeBlock(container) {
+    let element = container.nodeType === Node.TEXT_NODE
+      ? container.parentElement
+      : container
+
+    while (element && element !== this.editor) {
+      if (this.isCodeBlock(element)) {
+        return element
+      }
+      element = this.dom.getParentElement(element)
+    }
+
+    return null
+  }
+
+  /**
+   * Element holding the code text: the CODE child, or the PRE itself
+   */
+  getCodeElement(pre) {
+    const first = this.dom.getFirstChild(pre)
+    return first && first.tagName === 'CODE' ? first : pre
+  }
+
+  getCodeBlockLanguage(pre) {
+    return getCodeLanguage(this.getCodeElement(pre))
+  }
+
+  // ========== Atomic Blocks ==========
+
+  /**
+   * Blocks without editable text - rules, and images, formulas or other embeds
+   * rendered non-editable - that are selected and removed as a whole. Inline
+   * non-editable spans, and the inline elements of plugins, stay part of
+   * their textblock.
+   */
+  isAtomicBlock(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE || element === this.editor) return false
+    return element.tagName === 'HR' ||
+      (element.getAttribute('contenteditable') === 'false' && element.tagName !== 'SPAN' &&
+        !this.pluginTags.inlineTags.includes(element.tagName))
+  }
+
+  findAtomicBlock(node) {
+    let element = node && node.nodeType === Node.TEXT_NODE ? node.parentElement : node
+    while (element && element !== this.editor) {
+      if (this.isAtomicBlock(element)) return element
+      element = element.parentElement
+    }
+    return null
+  }
+
+  /**
+   * Element selected as a whole, as atomic blocks and formulas are
+   */
+  getSelectedElement() {
+    const context = this.dom.getCursorContext()
+    if (!context || context.collapsed) return null
+
+    const { container, offset, endContainer, endOffset } = context
+    if (container !== endContainer || container.nodeType !== Node.ELEMENT_NODE || endOffset !== offset + 1) {
+      return null
+    }
+    const node = container.childNodes[offset]
+    return node && node.nodeType === Node.ELEMENT_NODE && this.editor.contains(node) ? node : null
+  }
+
+  /**
+   * Atomic block selected as a whole, the only way the caret holds one
+   */
+  getSelectedAtomicBlock() {
+    const element = this.getSelectedElement()
+    return this.isAtomicBlock(element) ? element : null
+  }
+
+  // ========== Math ==========
+
+  findMathElement(node) {
+    let element = node && node.nodeType === Node.TEXT_NODE ? node.parentElement : node
+    while (element && element !== this.editor) {
+      if (isMathElement(element)) return element
+      element = element.parentElement
+    }
+    return null
+  }
+
+  getSelectedMath() {
+    const element = this.getSelectedElement()
+    return isMathElement(element) ? element : null
+  }
+
+  // ========== Images ==========
+
+  isImageBlock(element) {
+    return isImageBlock(element)
+  }
+
+  getSelectedImageBlock() {
+    const block = this.getSelectedAtomicBlock()
+    return this.isImageBlock(block) ? block : null
+  }
+
+  // ========== Tables ==========
+
+  isTableCell(element) {
+    return !!element && (element.tagName === 'TD' || element.tagName === 'TH')
+  }
+
+  findTableCell(container) {
+    let element = container.nodeType === Node.TEXT_NODE
+      ? container.parentElement
+      : container
+
+    while (element && element !== this.editor) {
+      if (this.isTableCell(element)) {
+        return element
+      }
+      element = this.dom.getParentElement(element)
+    }
+
+    return null
+  }
+
+  /**
+   * Position of a cell within its table, rows counted across THEAD and TBODY
+   */
+  getCellPosition(cell) {
+    const row = cell.parentElement
+    const table = row.closest('table')
+    const rows = Array.from(table.rows)
+
+    return {
+      table,
+      row,
+      rows,
+      rowIndex: rows.indexOf(row),
+      columnIndex: cell.cellIndex,
+      columnCount: rows[0] ? rows[0].cells.length : 0,
+      isHeader: row.parentElement.tagName === 'THEAD'
+    }
+  }
+
+  getCellAt(table, rowIndex, columnIndex) {
+    const row = table.rows[rowIndex]
+    return row ? row.cells[columnIndex] || null : null
+  }
+
+  /**
+   * All cells of a table in reading order, excluding nested tables
+   */
+  getTableCells(table) {
+    return Array.from(table.rows).reduce((cells, row) => cells.concat(Array.from(row.cells)), [])
+  }
+
   // ========== Block State Queries ==========
 
   isBlockEmpty(block) {
@@ -197,7 +668,11 @@ export default class MarkdownBlockModel {
     return { atStart: false }
   }
 
-  isAtBlockEnd(element) {
+  /**
+   * Whether the caret is at the end of a block's text. With `ownText`, text
+   * of lists nested in it (a list item's sublist) does not count.
+   */
+  isAtBlockEnd(element, ownText = false) {
     const context = this.dom.getCursorContext()
     if (!context || !context.collapsed) return false
 
@@ -210,6 +685,7 @@ export default class MarkdownBlockModel {
     let node
 
     while (node = walker.nextNode()) {
+      if (ownText && this.isNestedText(node, element)) continue
       if (node === container) {
         currentPosition = totalLength + offset
       }
@@ -219,6 +695,13 @@ export default class MarkdownBlockModel {
     return currentPosition === totalLength
   }
 
+  isNestedText(node, element) {
+    for (let parent = node.parentElement; parent && parent !== element; parent = parent.parentElement) {
+      if (this.isContainerElement(parent)) return true
+    }
+    return false
+  }
+
   isAtEndOfInlineElement() {
     const context = this.dom.getCursorContext()
     if (!context || !context.collapsed) return false
@@ -417,8 +900,8 @@ export default class MarkdownBlockModel {
     const nextSibling = this.dom.getNextSibling(blockElement)
 
     if (prevSibling && nextSibling &&
-        this.isContainerElement(prevSibling) &&
-        this.isContainerElement(nextSibling)) {
+        this.isMergeableContainer(prevSibling) &&
+        this.isMergeableContainer(nextSibling)) {
       return {
         block: blockElement,
         prevContainer: prevSibling,
@@ -528,6 +1011,51 @@ export default class MarkdownBlockModel {
     return adjacent.prevContainer.tagName === adjacent.nextContainer.tagName
   }
 
+  // ========== Document Model ==========
+
+  /**
+   * Parse the editor into a document tree. `elements` maps each textblock
+   * path ('0.1.0') to the element holding its text.
+   */
+  toDocument() {
+    return parseDOM(this.editor, this.pluginTags)
+  }
+
+  /**
+   * `{ path, offset }` for a DOM boundary point, using the `elements` of a
+   * document parsed from the current editor
+   */
+  getModelPosition(elements, node, offset) {
+    const paths = new Map()
+    elements.forEach((element, key) => {
+      if (!paths.has(element)) paths.set(element, key)
+    })
+
+    let element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node
+    while (element && !paths.has(element)) {
+      if (element === this.editor) return null
+      element = this.dom.getParentElement(element)
+    }
+    if (!element) return null
+
+    return {
+      path: paths.get(element).split('.').map(Number),
+      offset: this.dom.getEditableTextOffset(element, node, offset)
+    }
+  }
+
+  /**
+   * Place the caret at a model position after the editor was re-rendered
+   */
+  setModelSelection(selection) {
+    const { elements } = this.toDocument()
+    const element = elements.get(selection.path.join('.'))
+    if (!element) return false
+
+    this.dom.selectTextRange(element, selection.offset, selection.offset)
+    return true
+  }
+
   getBlockPosition(blockElement) {
     const parent = this.dom.getParentElement(blockElement)
     const isInContainer = this.isContainerElement(parent)
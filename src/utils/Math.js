@@ -0,0 +1,172 @@
+/**
+ * Math - Inline `$…$` and display `$$…$$` formulas
+ *
+ * The markdown-it plugin parses both into math tokens and renders them as
+ * non-editable nodes carrying their TeX source in `data-tex`; the Turndown
+ * rules write that source back unchanged. What a formula looks like is up to
+ * the `render(tex, displayMode)` function given to the plugin and the editor,
+ * so any locally bundled library can be plugged in. Without one the source
+ * itself is shown.
+ */
+import { escapeHTML } from './DOMOperations'
+
+export const MATH_BLOCK_CLASS = 'math-block'
+export const MATH_INLINE_CLASS = 'math-inline'
+export const MATH_ERROR_CLASS = 'math-error'
+
+/**
+ * Default renderer: the TeX source as text
+ */
+export function renderMathSource(tex) {
+  return escapeHTML(tex)
+}
+
+/**
+ * Editor markup of a formula. A renderer that throws leaves the source
+ * visible, marked as an error.
+ */
+export function mathHTML(tex, displayMode, render = renderMathSource) {
+  const tag = displayMode ? 'div' : 'span'
+  const className = displayMode ? MATH_BLOCK_CLASS : MATH_INLINE_CLASS
+
+  let content
+  try {
+    content = (render || renderMathSource)(tex, displayMode)
+  } catch (error) {
+    content = `<span class="${MATH_ERROR_CLASS}" title="${escapeHTML(error.message || error)}">${escapeHTML(tex)}</span>`
+  }
+  return `<${tag} class="${className}" contenteditable="false" data-tex="${escapeHTML(tex)}">${content}</${tag}>`
+}
+
+export function isMathBlock(node) {
+  return !!node && node.nodeType === 1 && node.tagName === 'DIV' && node.classList.contains(MATH_BLOCK_CLASS)
+}
+
+export function isMathInline(node) {
+  return !!node && node.nodeType === 1 && node.tagName === 'SPAN' && node.classList.contains(MATH_INLINE_CLASS)
+}
+
+export function isMathElement(node) {
+  return isMathBlock(node) || isMathInline(node)
+}
+
+export function getMathSource(element) {
+  return element.getAttribute('data-tex') || ''
+}
+
+export function mathMarkdown(tex, displayMode) {
+  return displayMode ? `$$\n${tex}\n$$` : `$${tex}$`
+}
+
+// ========== markdown-it ==========
+
+/**
+ * `$tex$` as in Pandoc: the opening `$` is not followed by a space, the
+ * closing one not preceded by a space nor followed by a digit, so prices
+ * such as `$5 and $6` stay text. `\$` is a literal dollar sign.
+ */
+function mathInlineRule(state, silent) {
+  const src = state.src
+  const start = state.pos
+  if (src.charAt(start) !== '$' || src.charAt(start + 1) === '$' || src.charAt(start - 1) === '$') return false
+  if (!src.charAt(start + 1) || /\s/.test(src.charAt(start + 1))) return false
+
+  let end = start + 1
+  for (;;) {
+    end = src.indexOf('$', end)
+    if (end === -1 || end >= state.posMax) return false
+    if (src.charAt(end - 1) !== '\\') break
+    end++
+  }
+  if (/\s/.test(src.charAt(end - 1)) || /\d/.test(src.charAt(end + 1))) return false
+
+  if (!silent) {
+    const token = state.push('math_inline', 'span', 0)
+    token.markup = '$'
+    token.content = src.slice(start + 1, end)
+  }
+  state.pos = end + 1
+  return true
+}
+
+/**
+ * `$$` on a line of its own (or followed by TeX) up to the line ending in
+ * `$$`; `$$tex$$` on a single line works too
+ */
+function mathBlockRule(state, startLine, endLine, silent) {
+  if (state.sCount[startLine] - state.blkIndent >= 4) return false
+
+  const start = state.bMarks[startLine] + state.tShift[startLine]
+  const firstLine = state.src.slice(start, state.eMarks[startLine])
+  if (!firstLine.startsWith('$$')) return false
+
+  const opening = firstLine.slice(2)
+  let lines
+  let closeLine = startLine
+
+  if (opening.trim().length > 2 && opening.trim().endsWith('$$')) {
+    lines = [opening.trim().slice(0, -2)]
+  } else {
+    lines = opening.trim() ? [opening] : []
+    let nextLine = startLine + 1
+    for (; nextLine < endLine; nextLine++) {
+      if (state.sCount[nextLine] < state.blkIndent) return false
+
+      const line = state.src.slice(state.bMarks[nextLine] + state.tShift[nextLine], state.eMarks[nextLine])
+      if (line.trimEnd().endsWith('$$')) {
+        const rest = line.trimEnd().slice(0, -2)
+        if (rest.trim()) lines.push(rest)
+        break
+      }
+      lines.push(state.src.slice(state.bMarks[nextLine] + state.blkIndent, state.eMarks[nextLine]))
+    }
+    if (nextLine >= endLine) return false
+    closeLine = nextLine
+  }
+
+  if (silent) return true
+
+  const token = state.push('math_block', 'div', 0)
+  token.block = true
+  token.markup = '$$'
+  token.content = lines.join('\n')
+  token.map = [startLine, closeLine + 1]
+  state.line = closeLine + 1
+  return true
+}
+
+/**
+ * markdown-it plugin: `render(tex, displayMode)` returns the HTML shown for
+ * a formula
+ */
+export function mathPlugin(md, options = {}) {
+  const render = options.render || renderMathSource
+
+  md.inline.ruler.after('escape', 'math_inline', mathInlineRule)
+  md.block.ruler.before('fence', 'math_block', mathBlockRule, {
+    alt: ['paragraph', 'reference', 'blockquote', 'list']
+  })
+
+  md.renderer.rules.math_inline = (tokens, index) => mathHTML(tokens[index].content, false, render)
+  md.renderer.rules.math_block = (tokens, index) => mathHTML(tokens[index].content, true, render) + '\n'
+}
+
+export function addMathRules(turndownService) {
+  turndownService.addRule('mathBlock', {
+    filter: function (node) {
+      return isMathBlock(node)
+    },
+    replacement: function (content, node) {
+      return '\n\n' + mathMarkdown(getMathSource(node), true) + '\n\n'
+    }
+  })
+
+  turndownService.addRule('mathInline', {
+    filter: function (node) {
+      return isMathInline(node)
+    },
+    replacement: function (content, node) {
+      return mathMarkdown(getMathSource(node), false)
+    }
+  })
+}
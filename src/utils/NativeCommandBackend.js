@@ -0,0 +1,20 @@
+/**
+ * NativeCommandBackend - Editing commands through document.execCommand
+ *
+ * Edits land on the browser's own undo stack, with whatever markup the engine
+ * chooses to produce (Chrome, for instance, adds inline styles when blocks
+ * merge).
+ */
+export default class NativeCommandBackend {
+  execute(command, value = null) {
+    return document.execCommand(command, false, value)
+  }
+
+  undo() {
+    return document.execCommand('undo')
+  }
+
+  redo() {
+    return document.execCommand('redo')
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Plugins - Markdown extensions for the editor
+ *
+ * The editor's markdown is written back from its HTML on every input, so a
+ * construct only survives editing when both directions know it. A plugin is a
+ * plain object supplying everything for one construct:
+ *
+ *   name           identifies it
+ *   markdownIt     markdown-it plugin rendering it, `md => void`
+ *   turndown       adds the Turndown rules writing it back, `turndownService => void`
+ *   blockTags      tags of elements holding text, such as DT and DD
+ *   containerTags  tags of elements holding blocks, such as DL
+ *   inlineTags     tags of non-editable inline elements, kept whole
+ *
+ * Tags are upper case, as in `element.tagName`. The block model treats them
+ * like its own textblocks and containers, and the document model keeps them
+ * as elements through edits.
+ */
+
+/**
+ * Install the markdown-it plugins and Turndown rules of `plugins`
+ */
+export function applyPlugins(plugins, { md, turndownService }) {
+  (plugins || []).forEach(plugin => {
+    if (plugin.markdownIt) md.use(plugin.markdownIt)
+    if (plugin.turndown) plugin.turndown(turndownService)
+  })
+}
+
+/**
+ * Tag classification of all `plugins`
+ */
+export function getPluginTags(plugins) {
+  const tags = { blockTags: [], containerTags: [], inlineTags: [] }
+  const list = plugins || []
+  list.forEach(plugin => {
+    Object.keys(tags).forEach(kind => {
+      (plugin[kind] || []).forEach(tag => {
+        const name = tag.toUpperCase()
+        if (!tags[kind].includes(name)) tags[kind].push(name)
+      })
+    })
+  })
+  return tags
+}
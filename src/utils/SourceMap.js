@@ -0,0 +1,141 @@
+/**
+ * SourceMap - Maps editor block elements to markdown source line ranges
+ *
+ * markdown-it records `map: [startLine, endLine]` on block tokens. After each
+ * render or edit the markdown is parsed again and its block token tree is
+ * walked alongside the editor DOM, pairing elements with tokens by position.
+ * Lines are zero-based and `end` is exclusive, as in markdown-it.
+ */
+const SOURCE_BLOCK_TAGS = [
+  'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'BLOCKQUOTE',
+  'PRE', 'HR', 'FIGURE', 'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD', 'DIV', 'DL', 'DT', 'DD', 'ASIDE'
+]
+
+// Tokens whose tag differs from the element they render
+const TOKEN_ELEMENT_TAGS = {
+  fence: 'PRE',
+  code_block: 'PRE'
+}
+
+export default class SourceMap {
+  constructor(md, root) {
+    this.md = md
+    this.root = root
+    this.ranges = new WeakMap()
+    this.entries = []
+  }
+
+  // ========== Building ==========
+
+  /**
+   * Re-align the editor DOM with the markdown it currently represents
+   */
+  update(markdown) {
+    this.ranges = new WeakMap()
+    this.entries = []
+    if (!this.root) return
+
+    const tokens = this.md.parse(markdown || '', {})
+    this.align(this.root, this.buildTree(tokens), 0)
+  }
+
+  /**
+   * Nest block tokens into `{ tag, map, children }` nodes. Hidden tokens (the
+   * paragraphs of tight list items) render nothing and are skipped.
+   */
+  buildTree(tokens) {
+    const root = { tag: null, map: null, children: [] }
+    const stack = [root]
+    const parentNode = () => {
+      for (let i = stack.length - 1; i >= 0; i--) {
+        if (stack[i]) return stack[i]
+      }
+      return root
+    }
+
+    tokens.forEach(token => {
+      if (token.type === 'inline') return
+
+      if (token.nesting === -1) {
+        stack.pop()
+        return
+      }
+
+      const node = token.hidden ? null : {
+        tag: TOKEN_ELEMENT_TAGS[token.type] || token.tag.toUpperCase(),
+        map: token.map,
+        children: []
+      }
+      if (node) parentNode().children.push(node)
+      if (token.nesting === 1) stack.push(node)
+    })
+
+    return root.children
+  }
+
+  /**
+   * Pair block children of `element` with token nodes in order, stopping at
+   * the first mismatch (raw HTML blocks have no reliable counterpart)
+   */
+  align(element, nodes, depth) {
+    const children = Array.from(element.children)
+      .filter(child => SOURCE_BLOCK_TAGS.includes(child.tagName))
+
+    for (let i = 0; i < children.length && i < nodes.length; i++) {
+      const child = children[i]
+      const node = nodes[i]
+      if (child.tagName !== node.tag) break
+
+      if (node.map) {
+        const range = { start: node.map[0], end: node.map[1] }
+        this.ranges.set(child, range)
+        this.entries.push({ element: child, range, depth })
+      }
+      if (node.children.length && child.tagName !== 'PRE') {
+        this.align(child, node.children, depth + 1)
+      }
+    }
+  }
+
+  // ========== Queries ==========
+
+  /**
+   * `{ start, end }` lines of the nearest mapped block containing `node`
+   */
+  getRange(node) {
+    let element = node && node.nodeType === Node.TEXT_NODE ? node.parentElement : node
+
+    while (element && element !== this.root) {
+      const range = this.ranges.get(element)
+      if (range) return { ...range }
+      element = element.parentElement
+    }
+    return null
+  }
+
+  /**
+   * Innermost block covering `line`; blank lines resolve to the next block
+   */
+  getElement(line) {
+    let best = null
+    let following = null
+
+    this.entries.forEach(entry => {
+      if (!this.root.contains(entry.element)) return
+      const { start, end } = entry.range
+
+      if (line >= start && line < end) {
+        if (!best || entry.depth > best.depth) best = entry
+      } else if (start > line && (!following || start < following.range.start ||
+          (start === following.range.start && entry.depth > following.depth))) {
+        following = entry
+      }
+    })
+
+    if (best) return best.element
+    if (following) return following.element
+
+    const last = this.entries.filter(entry => entry.depth === 0).pop()
+    return last && this.root.contains(last.element) ? last.element : null
+  }
+}
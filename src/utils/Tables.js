@@ -0,0 +1,90 @@
+/**
+ * Tables - GFM pipe tables
+ *
+ * markdown-it renders tables (with `text-align` styles for aligned columns) out
+ * of the box; this module supplies the Turndown rules that write them back as
+ * pipe tables with the alignment row, and the markup for new tables.
+ */
+export const ALIGNMENT_MARKERS = {
+  left: ':---',
+  center: ':---:',
+  right: '---:',
+  none: '---'
+}
+
+export function getCellAlignment(cell) {
+  const align = (cell.style && cell.style.textAlign) || cell.getAttribute('align') || ''
+  return ALIGNMENT_MARKERS[align.toLowerCase()] ? align.toLowerCase() : 'none'
+}
+
+function alignmentStyle(align) {
+  return align && align !== 'none' ? ` style="text-align:${align}"` : ''
+}
+
+export function tableCellHTML(tag, align) {
+  return `<${tag}${alignmentStyle(align)}><br></${tag}>`
+}
+
+/**
+ * Markup for an empty table with a header row and `rows` body rows
+ */
+export function tableHTML(rows = 2, columns = 2) {
+  const headerCells = Array.from({ length: columns }, () => tableCellHTML('th')).join('')
+  const bodyRow = '<tr>' + Array.from({ length: columns }, () => tableCellHTML('td')).join('') + '</tr>'
+
+  return `<table><thead><tr>${headerCells}</tr></thead>` +
+    `<tbody>${Array.from({ length: rows }, () => bodyRow).join('')}</tbody></table>`
+}
+
+function isHeadingRow(row) {
+  const parent = row.parentNode
+  if (parent.nodeName === 'THEAD') return true
+
+  // Tables without a THEAD use their first row as the header
+  const table = row.closest('table')
+  return !table.querySelector('thead') && table.rows[0] === row
+}
+
+function separatorRow(row) {
+  const markers = Array.from(row.cells).map(cell => ALIGNMENT_MARKERS[getCellAlignment(cell)])
+  return '| ' + markers.join(' | ') + ' |'
+}
+
+export function addTableRules(turndownService) {
+  turndownService.addRule('tableCell', {
+    filter: ['th', 'td'],
+    replacement: function (content, node) {
+      const text = content
+        .trim()
+        .replace(/ *\n+ */g, '<br>')
+        .replace(/\|/g, '\\|')
+      const prefix = node.previousElementSibling ? ' ' : '| '
+      return prefix + text + ' |'
+    }
+  })
+
+  turndownService.addRule('tableRow', {
+    filter: 'tr',
+    replacement: function (content, node) {
+      let row = '\n' + content
+      if (isHeadingRow(node)) {
+        row += '\n' + separatorRow(node)
+      }
+      return row
+    }
+  })
+
+  turndownService.addRule('tableSection', {
+    filter: ['thead', 'tbody', 'tfoot'],
+    replacement: function (content) {
+      return content
+    }
+  })
+
+  turndownService.addRule('table', {
+    filter: 'table',
+    replacement: function (content) {
+      return '\n\n' + content.replace(/\n+/g, '\n').trim() + '\n\n'
+    }
+  })
+}
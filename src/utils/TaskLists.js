@@ -0,0 +1,60 @@
+/**
+ * TaskLists - GFM task list items (`- [ ] todo`, `- [x] done`)
+ *
+ * Provides the markdown-it plugin that renders task items as list items with a
+ * leading non-editable checkbox, and the Turndown rule that writes the checkbox
+ * back as its `[ ]` / `[x]` marker.
+ */
+export const TASK_ITEM_CLASS = 'task-list-item'
+export const TASK_CHECKBOX_CLASS = 'task-list-item-checkbox'
+
+const TASK_MARKER = /^\[([ xX])\](?=\s|$)\s?/
+
+export function taskCheckboxHTML(checked = false) {
+  return `<input type="checkbox" class="${TASK_CHECKBOX_CLASS}" contenteditable="false"${checked ? ' checked' : ''}>`
+}
+
+/**
+ * markdown-it plugin: runs after inline parsing so the marker is already
+ * merged into the first text token of the item's paragraph
+ */
+export function taskListPlugin(md) {
+  md.core.ruler.after('inline', 'task_lists', state => {
+    const tokens = state.tokens
+
+    for (let i = 2; i < tokens.length; i++) {
+      const token = tokens[i]
+      if (token.type !== 'inline' ||
+          tokens[i - 1].type !== 'paragraph_open' ||
+          tokens[i - 2].type !== 'list_item_open') {
+        continue
+      }
+
+      const first = token.children[0]
+      const match = first && first.type === 'text' && first.content.match(TASK_MARKER)
+      if (!match) continue
+
+      first.content = first.content.slice(match[0].length)
+
+      const checkbox = new state.Token('html_inline', '', 0)
+      checkbox.content = taskCheckboxHTML(match[1] !== ' ')
+      token.children.unshift(checkbox)
+
+      tokens[i - 2].attrJoin('class', TASK_ITEM_CLASS)
+    }
+  })
+}
+
+export function addTaskListRules(turndownService) {
+  turndownService.addRule('taskListCheckbox', {
+    filter: function (node) {
+      return node.nodeName === 'INPUT' &&
+        node.getAttribute('type') === 'checkbox' &&
+        !!node.parentNode &&
+        (node.parentNode.nodeName === 'LI' || node.parentNode.parentNode.nodeName === 'LI')
+    },
+    replacement: function (content, node) {
+      return (node.hasAttribute('checked') ? '[x]' : '[ ]') + ' '
+    }
+  })
+}
@@ -0,0 +1,56 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createEditor } from './harness/editor'
+import CodeHighlighter, { basicHighlighter } from '../src/utils/CodeHighlighter'
+
+let harness
+
+function mount(html) {
+  harness = createEditor(html)
+  const highlight = vi.fn(basicHighlighter)
+  const highlighter = new CodeHighlighter(harness.editor.dom, harness.editor.blocks, highlight)
+  return { highlighter, highlight }
+}
+
+afterEach(() => {
+  vi.useRealTimers()
+  harness.destroy()
+})
+
+describe('CodeHighlighter', () => {
+  it('highlights a block again only when its text changed', () => {
+    const { highlighter, highlight } = mount('<pre><code class="language-js">let a|</code></pre>')
+    const pre = harness.element.querySelector('pre')
+
+    expect(highlighter.highlightBlock(pre)).toBe(true)
+    expect(harness.html()).toBe('<pre><code class="language-js"><span class="hl-keyword">let</span> a|</code></pre>')
+    expect(highlighter.highlightBlock(pre)).toBe(false)
+    expect(highlight).toHaveBeenCalledTimes(1)
+
+    harness.press('b')
+    highlighter.highlightBlock(pre)
+    expect(highlight).toHaveBeenCalledTimes(2)
+  })
+
+  it('waits for typing to pause', () => {
+    vi.useFakeTimers()
+    const { highlighter, highlight } = mount('<pre><code class="language-js">let a|</code></pre>')
+
+    expect(highlighter.scheduleAtCaret()).toBe(true)
+    expect(highlighter.scheduleAtCaret()).toBe(true)
+    expect(highlight).not.toHaveBeenCalled()
+
+    vi.advanceTimersByTime(CodeHighlighter.DELAY)
+    expect(highlight).toHaveBeenCalledTimes(1)
+    expect(harness.html()).toBe('<pre><code class="language-js"><span class="hl-keyword">let</span> a|</code></pre>')
+  })
+
+  it('drops a pending highlight on cancel', () => {
+    vi.useFakeTimers()
+    const { highlighter, highlight } = mount('<pre><code>let a|</code></pre>')
+
+    highlighter.scheduleAtCaret()
+    highlighter.cancel()
+    vi.advanceTimersByTime(CodeHighlighter.DELAY)
+    expect(highlight).not.toHaveBeenCalled()
+  })
+})
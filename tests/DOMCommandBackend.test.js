@@ -0,0 +1,71 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import DOMCommandBackend from '../src/utils/DOMCommandBackend'
+import { setContent, getContent } from './harness/editor'
+
+let element
+
+function mount(html) {
+  element = document.createElement('div')
+  element.setAttribute('contenteditable', 'true')
+  document.body.appendChild(element)
+  setContent(element, html)
+  return new DOMCommandBackend(element, { fallback: { execute: () => 'fallback' } })
+}
+
+afterEach(() => {
+  element.remove()
+})
+
+describe('DOMCommandBackend', () => {
+  it.each([
+    ['insertText', '<p>a|b</p>', 'x', '<p>ax|b</p>'],
+    ['insertText', '<p>|<br></p>', 'x', '<p>x|</p>'],
+    ['insertHTML', '<p>a|b</p>', '<strong>x</strong>', '<p>a<strong>x|</strong>b</p>'],
+    ['insertHTML', '<p>a|b</p>', '<h2>x</h2>', '<p>a</p><h2>x|</h2><p>b</p>'],
+    ['delete', '<p>ab|</p>', null, '<p>a|</p>'],
+    ['delete', '<p>a</p><p>|b</p>', null, '<p>a|b</p>'],
+    ['formatBlock', '<p>a|b</p>', 'h3', '<h3>a|b</h3>'],
+    ['outdent', '<blockquote><p>|a</p></blockquote>', null, '<p>|a</p>'],
+    ['insertParagraph', '<h1>ab|</h1>', null, '<h1>ab</h1><p>|<br></p>']
+  ])('%s on %s', (command, initial, value, expected) => {
+    const backend = mount(initial)
+    expect(backend.execute(command, value)).toBe(true)
+    expect(getContent(element)).toBe(expected)
+  })
+
+  it('hands other commands to the fallback', () => {
+    const backend = mount('<p>a|</p>')
+    expect(backend.execute('bold')).toBe('fallback')
+  })
+
+  it('inverts and replays recorded commands', () => {
+    const backend = mount('<ul><li>a</li><li>|b</li><li>c</li></ul>')
+    backend.execute('outdent')
+    backend.execute('insertText', 'x')
+    expect(getContent(element)).toBe('<ul><li>a</li></ul><p>x|b</p><ul><li>c</li></ul>')
+
+    expect(backend.undo()).toBe(true)
+    expect(getContent(element)).toBe('<ul><li>a</li></ul><p>|b</p><ul><li>c</li></ul>')
+    expect(backend.undo()).toBe(true)
+    expect(getContent(element)).toBe('<ul><li>a</li><li>|b</li><li>c</li></ul>')
+    expect(backend.undo()).toBe(false)
+
+    expect(backend.redo()).toBe(true)
+    expect(backend.redo()).toBe(true)
+    expect(getContent(element)).toBe('<ul><li>a</li></ul><p>x|b</p><ul><li>c</li></ul>')
+    expect(backend.redo()).toBe(false)
+
+    backend.undo()
+    backend.undo()
+    expect(getContent(element)).toBe('<ul><li>a</li><li>|b</li><li>c</li></ul>')
+  })
+
+  it('drops its stacks once the editor changed outside of it', () => {
+    const backend = mount('<p>a|</p>')
+    backend.execute('insertText', 'b')
+    element.appendChild(document.createElement('p'))
+
+    expect(backend.undo()).toBe(false)
+    expect(backend.undoStack).toHaveLength(0)
+  })
+})
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest'
+import MarkdownIt from 'markdown-it'
+import {
+  parseMarkdown, serializeMarkdown, splitBlock, joinBackward, joinForward, deleteRange, insertBlocks
+} from '../src/utils/DocumentModel'
+
+const md = new MarkdownIt()
+
+const parse = markdown => parseMarkdown(md, markdown)
+const at = (path, offset) => ({ path, offset })
+
+/**
+ * Run `transform` on the document of `markdown`, returning the resulting
+ * markdown and selection, or null when the transform declines
+ */
+function apply(transform, markdown, ...args) {
+  const doc = parse(markdown)
+  const original = JSON.stringify(doc)
+  const result = transform(doc, ...args)
+
+  // Transforms build a new document and leave the one given alone
+  expect(JSON.stringify(doc)).toBe(original)
+  return result && { markdown: serializeMarkdown(result.doc), selection: result.selection }
+}
+
+describe('splitBlock', () => {
+  // [case, markdown, caret, expected markdown, expected caret]
+  it.each([
+    ['splits a paragraph', 'ab', at([0], 1), 'a\n\nb', at([1], 0)],
+    ['splits a heading into two headings', '# ab', at([0], 1), '# a\n\n# b', at([1], 0)],
+    ['splits a list item into two items', '- ab', at([0, 0, 0], 1), '- a\n- b', at([0, 1, 0], 0)],
+    ['moves a nested list along with the tail', '- ab\n  - c', at([0, 0, 0], 1), '- a\n- b\n  - c', at([0, 1, 0], 0)],
+    ['splits a quote paragraph inside the quote', '> ab', at([0, 0], 1), '> a\n>\n> b', at([0, 1], 0)]
+  ])('%s', (name, markdown, caret, expected, selection) => {
+    expect(apply(splitBlock, markdown, caret)).toEqual({ markdown: expected, selection })
+  })
+
+  it('continues a heading with a paragraph from its end', () => {
+    const result = splitBlock(parse('# ab'), at([0], 2))
+    expect(result.doc.content.map(block => block.type)).toEqual(['heading', 'paragraph'])
+    expect(result.selection).toEqual(at([1], 0))
+  })
+
+  it('leaves code blocks to the editor', () => {
+    expect(apply(splitBlock, '```\nab\n```', at([0], 1))).toBe(null)
+  })
+})
+
+describe('joinBackward', () => {
+  it.each([
+    ['turns a heading into a paragraph', '# ab', at([0], 0), 'ab', at([0], 0)],
+    ['merges a paragraph into the one before', 'a\n\nb', at([1], 0), 'ab', at([0], 1)],
+    ['merges into the last textblock of a quote before', '> a\n\nb', at([1], 0), '> ab', at([0, 0], 1)],
+    ['lifts the first paragraph out of a quote', '> a', at([0, 0], 0), 'a', at([0], 0)],
+    ['lifts the first item out of a list', '- a\n- b', at([0, 0, 0], 0), 'a\n\n- b', at([0], 0)],
+    ['removes a rule before the paragraph', 'a\n\n---\n\nb', at([2], 0), 'a\n\nb', at([1], 0)],
+    ['joins lists that end up side by side', '- a\n\nb\n\n- c', at([1], 0), '- ab\n- c', at([0, 0, 0], 1)]
+  ])('%s', (name, markdown, caret, expected, selection) => {
+    expect(apply(joinBackward, markdown, caret)).toEqual({ markdown: expected, selection })
+  })
+
+  it('declines away from the block start', () => {
+    expect(apply(joinBackward, 'a\n\nbc', at([1], 1))).toBe(null)
+  })
+})
+
+describe('joinForward', () => {
+  it.each([
+    ['merges the next paragraph', 'a\n\nb', at([0], 1), 'ab', at([0], 1)],
+    ['pulls in the first paragraph of a following quote', 'a\n\n> b', at([0], 1), 'ab', at([0], 1)],
+    ['pulls in the first item of a following list', 'a\n\n- b\n- c', at([0], 1), 'ab\n\n- c', at([0], 1)],
+    ['removes a rule after the caret', 'a\n\n---\n\nb', at([0], 1), 'a\n\nb', at([0], 1)]
+  ])('%s', (name, markdown, caret, expected, selection) => {
+    expect(apply(joinForward, markdown, caret)).toEqual({ markdown: expected, selection })
+  })
+
+  it.each([
+    ['before the block end', 'ab\n\nc', at([0], 1)],
+    ['before code', 'a\n\n```\nx\n```', at([0], 1)],
+    ['at the end of the document', 'a', at([0], 1)]
+  ])('declines %s', (name, markdown, caret) => {
+    expect(apply(joinForward, markdown, caret)).toBe(null)
+  })
+})
+
+describe('deleteRange', () => {
+  // [case, markdown, from, to, expected markdown, expected caret]
+  it.each([
+    ['joins the two ends', 'ab\n\ncd', at([0], 1), at([1], 1), 'ad', at([0], 1)],
+    ['removes the blocks between', 'ab\n\nx\n\n---\n\ncd', at([0], 1), at([3], 1), 'ad', at([0], 1)],
+    ['keeps the type of the start block', '# ab\n\n- cd\n- ef', at([0], 1), at([1, 0, 0], 1), '# ad\n\n- ef', at([0], 1)],
+    ['joins lists meeting at the seam', '- ab\n\nx\n\n- cd', at([0, 0, 0], 1), at([1], 1), '- a\n- cd',
+      at([0, 0, 0], 1)],
+    ['lifts the sublist of an emptied item', '- ab\n- cd\n  - e', at([0, 0, 0], 1), at([0, 1, 0], 2),
+      '- a\n- e', at([0, 0, 0], 1)]
+  ])('%s', (name, markdown, from, to, expected, selection) => {
+    expect(apply(deleteRange, markdown, from, to)).toEqual({ markdown: expected, selection })
+  })
+
+  it('declines an end before the start', () => {
+    expect(apply(deleteRange, 'ab\n\ncd', at([1], 1), at([0], 1))).toBe(null)
+  })
+})
+
+describe('insertBlocks', () => {
+  // [case, markdown, caret, pasted markdown, expected markdown, expected caret]
+  it.each([
+    ['puts one paragraph inline', 'ab', at([0], 1), 'x', 'axb', at([0], 2)],
+    ['joins paragraphs to both halves', 'ab', at([0], 1), 'x\n\ny', 'ax\n\nyb', at([1], 1)],
+    ['inserts other blocks whole', 'ab', at([0], 1), '# T', 'a\n\n# T\n\nb', at([1], 1)],
+    ['ends the caret in the last pasted textblock', 'ab', at([0], 1), '> q', 'a\n\n> q\n\nb', at([1, 0], 1)]
+  ])('%s', (name, markdown, caret, pasted, expected, selection) => {
+    expect(apply(insertBlocks, markdown, caret, parse(pasted).content)).toEqual({ markdown: expected, selection })
+  })
+
+  it('declines nothing to insert', () => {
+    expect(apply(insertBlocks, 'ab', at([0], 1), [])).toBe(null)
+  })
+})
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest'
+import { withEditor } from './harness/editor'
+
+/**
+ * Type `text` and record it, as MarkdownEditor.vue does on input
+ */
+function type(harness, text) {
+  harness.editor.history.markSelection()
+  harness.press(text)
+  harness.editor.history.record('insertText')
+}
+
+describe('EditHistory', () => {
+  it.each([
+    ['Ctrl+Y'],
+    ['Ctrl+Shift+Z']
+  ])('undoes on Ctrl+Z and redoes on %s', redo => {
+    withEditor('<p>a|</p>', harness => {
+      const { history } = harness.editor
+      history.reset()
+      type(harness, 'bc')
+
+      harness.press('Ctrl+Z')
+      expect(harness.html()).toBe('<p>a|</p>')
+      expect(history.canRedo).toBe(true)
+
+      harness.press(redo)
+      expect(harness.html()).toBe('<p>abc|</p>')
+      expect(history.canRedo).toBe(false)
+    })
+  })
+
+  it('undoes typing and the line break after it as separate steps', () => {
+    withEditor('<p>a|</p>', harness => {
+      harness.editor.history.reset()
+      type(harness, 'b')
+      harness.press('Shift+Enter')
+      harness.editor.history.record('insertLineBreak')
+
+      harness.press('Ctrl+Z')
+      expect(harness.html()).toBe('<p>ab|</p>')
+      harness.press('Ctrl+Z')
+      expect(harness.html()).toBe('<p>a|</p>')
+      expect(harness.press('Ctrl+Z').html()).toBe('<p>a|</p>')
+    })
+  })
+})
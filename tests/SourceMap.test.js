@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest'
+import MarkdownIt from 'markdown-it'
+import SourceMap from '../src/utils/SourceMap'
+
+const md = new MarkdownIt({ html: true })
+
+const MARKDOWN = [
+  '# Title',
+  '',
+  'Some text',
+  'on two lines',
+  '',
+  '- one',
+  '- two',
+  '',
+  '> quoted'
+].join('\n')
+
+function mount(markdown) {
+  const root = document.createElement('div')
+  root.innerHTML = md.render(markdown)
+  const sourceMap = new SourceMap(md, root)
+  sourceMap.update(markdown)
+  return { root, sourceMap }
+}
+
+describe('SourceMap', () => {
+  it.each([
+    ['a heading', 0, 'h1', { start: 0, end: 1 }],
+    ['the first line of a paragraph', 2, 'p', { start: 2, end: 4 }],
+    ['a later line of a paragraph', 3, 'p', { start: 2, end: 4 }],
+    ['a list item before its list', 6, 'li:nth-child(2)', { start: 6, end: 8 }],
+    ['a blank line as the block after it', 4, 'ul > li', { start: 5, end: 6 }],
+    ['a quote paragraph before its quote', 8, 'blockquote > p', { start: 8, end: 9 }]
+  ])('maps %s to its block and back', (name, line, selector, range) => {
+    const { root, sourceMap } = mount(MARKDOWN)
+    const block = sourceMap.getElement(line)
+
+    expect(block).toBe(root.querySelector(selector))
+    expect(sourceMap.getRange(block)).toEqual(range)
+  })
+
+  it('maps text inside a block to the block\'s lines', () => {
+    const { root, sourceMap } = mount(MARKDOWN)
+    const text = root.querySelector('li').firstChild
+
+    expect(sourceMap.getRange(text)).toEqual({ start: 5, end: 6 })
+    expect(sourceMap.getElement(sourceMap.getRange(text).start)).toBe(text.parentElement)
+  })
+
+  it('maps lines past the end to the last block', () => {
+    const { root, sourceMap } = mount(MARKDOWN)
+    expect(sourceMap.getElement(20)).toBe(root.querySelector('blockquote'))
+  })
+})
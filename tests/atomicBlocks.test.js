@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest'
+import { play, withEditor } from './harness/editor'
+
+// [case, initial HTML, keys, expected HTML]
+const CASES = [
+  // Input rule
+  ['--- and Enter insert a rule', '<p>---|</p>', 'Enter', '<hr><p>|<br></p>'],
+  ['*** and Enter insert a rule', '<p>***|</p>', 'Enter', '<hr><p>|<br></p>'],
+  ['text after the marker moves below the rule', '<p>---|a</p>', 'Enter', '<hr><p>|a</p>'],
+  ['Backspace right after reverts the rule', '<p>---|</p>', 'Enter Backspace', '<p>---|</p>'],
+  ['two dashes stay a paragraph', '<p>--|</p>', 'Enter', '<p>--</p><p>|<br></p>'],
+
+  // Removal from neighbouring blocks
+  ['Backspace after a rule removes it', '<p>a</p><hr><p>|b</p>', 'Backspace', '<p>a</p><p>|b</p>'],
+  ['Delete before a rule removes it', '<p>a|</p><hr><p>b</p>', 'Delete', '<p>a|</p><p>b</p>'],
+  ['Backspace removes a rule ending a quote', '<blockquote><p>a</p><hr></blockquote><p>|b</p>', 'Backspace',
+    '<blockquote><p>a</p></blockquote><p>|b</p>'],
+  ['Delete removes a rule opening a quote', '<p>a|</p><blockquote><hr></blockquote><p>b</p>', 'Delete',
+    '<p>a|</p><p>b</p>'],
+  ['removing a rule joins the lists around it', '<ul><li>a|</li></ul><hr><ul><li>b</li></ul>', 'Delete',
+    '<ul><li>a|</li><li>b</li></ul>'],
+
+  // Selected whole
+  ['Backspace on a selected rule removes it', '<p>a</p>{<hr>}<p>b</p>', 'Backspace', '<p>a</p><p>|b</p>'],
+  ['Delete on a selected last rule moves back', '<p>a</p>{<hr>}', 'Delete', '<p>a|</p>'],
+  ['a removed rule selects the rule after it', '<p>a</p>{<hr>}<hr>', 'Delete', '<p>a</p>{<hr>}']
+]
+
+describe('atomic blocks', () => {
+  it.each(CASES)('%s', (name, initial, keys, expected) => {
+    expect(play(initial, keys)).toBe(expected)
+  })
+})
+
+function arrows(initial, ...keys) {
+  return withEditor(initial, harness => {
+    keys.forEach(key => harness.editor.handleArrow(key))
+    return harness.html()
+  })
+}
+
+describe('arrow keys', () => {
+  it.each([
+    ['Right at a block end selects the rule', '<p>a|</p><hr><p>b</p>', ['ArrowRight'], '<p>a</p>{<hr>}<p>b</p>'],
+    ['Left at a block start selects the rule', '<p>a</p><hr><p>|b</p>', ['ArrowLeft'], '<p>a</p>{<hr>}<p>b</p>'],
+    ['Right again moves past the rule', '<p>a|</p><hr><p>b</p>', ['ArrowRight', 'ArrowRight'], '<p>a</p><hr><p>|b</p>'],
+    ['Up from a selected rule moves before it', '<p>a</p>{<hr>}<p>b</p>', ['ArrowUp'], '<p>a|</p><hr><p>b</p>'],
+    ['rules in a row are stepped one by one', '<p>a|</p><hr><hr>', ['ArrowRight', 'ArrowRight'], '<p>a</p><hr>{<hr>}'],
+    ['leaving the last rule adds a paragraph', '<p>a</p>{<hr>}', ['ArrowDown'], '<p>a</p><hr><p>|<br></p>'],
+    ['Right inside text is the browser\'s', '<p>a|b</p><hr>', ['ArrowRight'], '<p>a|b</p><hr>']
+  ])('%s', (name, initial, keys, expected) => {
+    expect(arrows(initial, ...keys)).toBe(expected)
+  })
+})
+
+describe('insertHorizontalRule', () => {
+  it('splits the caret block', () => {
+    withEditor('<p>a|b</p>', harness => {
+      expect(harness.editor.runCommand('insertHorizontalRule')).toBe(true)
+      expect(harness.html()).toBe('<p>a</p><hr><p>|b</p>')
+    })
+  })
+
+  it('leaves a paragraph after a rule at the end', () => {
+    withEditor('<p>a|</p>', harness => {
+      harness.editor.runCommand('insertHorizontalRule')
+      expect(harness.html()).toBe('<p>a</p><hr><p>|<br></p>')
+    })
+  })
+})
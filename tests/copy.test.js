@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest'
+import TurndownService from 'turndown'
+import { withEditor } from './harness/editor'
+import { serializeRange } from '../src/utils/Clipboard'
+
+const turndownService = new TurndownService({ headingStyle: 'atx', bulletListMarker: '-', codeBlockStyle: 'fenced' })
+
+function copy(initial) {
+  return withEditor(initial, harness => {
+    return serializeRange(window.getSelection().getRangeAt(0), harness.element, turndownService)
+  })
+}
+
+// [case, initial HTML, expected markdown]
+const CASES = [
+  ['text inside a block copies inline', '<h2>a{b}c</h2>', 'b'],
+  ['marks around the selection are kept', '<p><strong>a{b}c</strong></p>', '**b**'],
+  ['markdown characters are escaped', '<p>{1. *a*}</p>', '1\\. \\*a\\*'],
+  ['whole blocks keep their type', '<h2>a{b</h2><p>c}d</p>', '## b\n\nc'],
+  ['partial list items keep their list', '<ul><li>a{b</li><li>c}d</li><li>e</li></ul>', '-   b\n-   c'],
+  ['nested items keep their nesting', '<ul><li>a{b<ul><li>c}d</li></ul></li></ul>', '-   b\n    -   c'],
+  ['quotes are kept', '<blockquote><p>a{b</p><p>c}d</p></blockquote>', '> b\n> \n> c'],
+  ['text inside a code block is left to the browser', '<pre><code>a{b}c</code></pre>', ''],
+  ['nothing selected', '<p>a|b</p>', '']
+]
+
+describe('serializeRange', () => {
+  it.each(CASES)('%s', (name, initial, expected) => {
+    expect(copy(initial)).toBe(expected)
+  })
+})
+
+describe('cut', () => {
+  it('deletes across blocks through the document model', () => {
+    withEditor('<ul><li>a{b</li></ul><p>c}d</p>', harness => {
+      expect(harness.editor.deleteSelectedContent()).toBe(true)
+      expect(harness.html()).toBe('<ul><li>a|d</li></ul>')
+    })
+  })
+
+  it('deletes inside a block through the backend', () => {
+    withEditor('<p>a{b}c</p>', { useExecCommandOnly: false }, harness => {
+      expect(harness.editor.deleteSelectedContent()).toBe(true)
+      expect(harness.html()).toBe('<p>a|c</p>')
+    })
+  })
+})
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest'
+import { play } from './harness/editor'
+
+// [case, initial HTML, keys, expected HTML]
+const CASES = [
+  // Declined: the browser handles selections inside one block
+  ['typing over a selection in one block', '<p>a{b}c</p>', 'x', '<p>ax|c</p>'],
+
+  // Deleting
+  ['keeps the start block type', '<h2>a{b</h2><p>c}d</p>', 'Backspace', '<h2>a|d</h2>'],
+  ['Delete removes the selection too', '<p>a{b</p><p>c}d</p>', 'Delete', '<p>a|d</p>'],
+  ['keeps list items after the end', '<p>a{b</p><ul><li>c</li><li>d}e</li><li>f</li></ul>', 'Backspace',
+    '<p>a|e</p><ul><li>f</li></ul>'],
+  ['removes emptied containers', '<ul><li>a{b</li><li>c</li></ul><blockquote><p>d}e</p></blockquote>', 'Backspace',
+    '<ul><li>a|e</li></ul>'],
+  ['crosses a list and a quote',
+    '<h1>a{b</h1><ul><li>c</li></ul><blockquote><p>d</p><p>e}f</p><p>g</p></blockquote>', 'Backspace',
+    '<h1>a|f</h1><blockquote><p>g</p></blockquote>'],
+  ['joins lists meeting at the seam', '<ul><li>a{b</li></ul><p>c</p><ul><li>d}e</li><li>f</li></ul>', 'Backspace',
+    '<ul><li>a|e</li><li>f</li></ul>'],
+  ['joins quotes meeting at the seam',
+    '<blockquote><p>a{b</p></blockquote><p>c</p><blockquote><p>d}e</p></blockquote>', 'Backspace',
+    '<blockquote><p>a|e</p></blockquote>'],
+  ['removes nested lists in between', '<ul><li>a{b<ul><li>c</li></ul></li><li>d}e</li></ul>', 'Backspace',
+    '<ul><li>a|e</li></ul>'],
+  ['lifts the sublist of an item that lost its text',
+    '<p>a{b</p><ul><li>c<ul><li>d}e</li><li>f</li></ul></li></ul>', 'Backspace',
+    '<p>a|e</p><ul><li>f</li></ul>'],
+  ['lifts the sublist of an item in the same list',
+    '<ul><li>a{b</li><li>c<ul><li>d}e</li><li>f</li></ul></li><li>g</li></ul>', 'Backspace',
+    '<ul><li>a|e</li><li>f</li><li>g</li></ul>'],
+  ['removes code blocks in between', '<p>a{b</p><pre><code>c</code></pre><p>d}e</p>', 'Backspace',
+    '<p>a|e</p>'],
+
+  // Continuing from the collapsed result
+  ['Enter splits where the selection started', '<p>a{b</p><p>c}d</p>', 'Enter', '<p>a</p><p>|d</p>'],
+  ['Shift+Enter breaks the line there', '<p>a{b</p><p>c}d</p>', 'Shift+Enter', '<p>a<br>|d</p>'],
+  ['typing replaces the selection', '<p>a{b</p><p>c}d</p>', 'x', '<p>ax|d</p>'],
+  ['typed shortcuts still apply', '<p>{a</p><p>b}</p>', '# Space', '<h1>|<br></h1>']
+]
+
+describe.each([
+  ['native backend', true],
+  ['DOM backend', false]
+])('deleteSelection (%s)', (backend, useExecCommandOnly) => {
+  it.each(CASES)('%s', (name, initial, keys, expected) => {
+    expect(play(initial, keys, { useExecCommandOnly })).toBe(expected)
+  })
+})
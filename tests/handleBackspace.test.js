@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest'
+import { play } from './harness/editor'
+
+const task = (checked = false) =>
+  `<input type="checkbox" class="task-list-item-checkbox" contenteditable="false"${checked ? ' checked=""' : ''}>`
+
+// [case, initial HTML, keys, expected HTML]
+const CASES = [
+  // Declined: the browser deletes
+  ['range selection is left to the browser', '<p>{a}b</p>', 'Backspace', '<p>|b</p>'],
+  ['inside text is left to the browser', '<p>a|b</p>', 'Backspace', '<p>|b</p>'],
+  ['first empty paragraph stays', '<p>|<br></p>', 'Backspace', '<p>|<br></p>'],
+  ['first paragraph has nothing to merge into', '<p>|a</p>', 'Backspace', '<p>|a</p>'],
+
+  // Input rules
+  ['reverts a heading shortcut', '<p>|</p>', '# Space Backspace', '<p>#&nbsp;|</p>'],
+
+  // Code blocks
+  ['deletes inside a code block', '<pre><code>ab|</code></pre>', 'Backspace', '<pre><code>a|</code></pre>'],
+  ['keeps a code block at its start', '<pre><code>|ab</code></pre>', 'Backspace', '<pre><code>|ab</code></pre>'],
+
+  // Tables
+  ['never merges table cells', '<table><tbody><tr><td>a</td><td>|b</td></tr></tbody></table>', 'Backspace',
+    '<table><tbody><tr><td>a</td><td>|b</td></tr></tbody></table>'],
+  ['moves into the table before a paragraph', '<table><tbody><tr><td>a</td></tr></tbody></table><p>|b</p>', 'Backspace',
+    '<table><tbody><tr><td>a|</td></tr></tbody></table><p>b</p>'],
+
+  // Lists
+  ['drops a task checkbox first', `<ul><li class="task-list-item">${task()}|a</li></ul>`, 'Backspace',
+    '<ul><li class="task-list-item">|a</li></ul>'],
+  ['lifts a nested list item', '<ul><li>a<ul><li>|b</li></ul></li></ul>', 'Backspace',
+    '<ul><li>a</li><li>|b</li></ul>'],
+  ['turns a top level list item into a paragraph', '<ul><li>|a</li></ul>', 'Backspace', '<p>|a</p>'],
+
+  // Styled blocks and containers
+  ['turns a heading into a paragraph', '<h2>|Title</h2>', 'Backspace', '<p>|Title</p>'],
+  ['lifts a paragraph out of a quote', '<blockquote><p>|a</p></blockquote>', 'Backspace', '<p>|a</p>'],
+  ['lifts a later quote paragraph, splitting the quote', '<blockquote><p>a</p><p>|b</p></blockquote>', 'Backspace',
+    '<blockquote><p>a</p></blockquote><p>|b</p>'],
+
+  // Empty paragraphs
+  ['removes an empty paragraph', '<p>a</p><p>|<br></p>', 'Backspace', '<p>a|</p>'],
+  ['joins lists around an empty paragraph', '<ul><li>a</li></ul><p>|<br></p><ul><li>b</li></ul>', 'Backspace',
+    '<ul><li>a|</li><li>b</li></ul>'],
+  ['joins quotes around an empty paragraph',
+    '<blockquote><p>a</p></blockquote><p>|<br></p><blockquote><p>b</p></blockquote>', 'Backspace',
+    '<blockquote><p>a|</p><p>b</p></blockquote>'],
+
+  // Paragraph merges
+  ['merges paragraphs', '<p>a</p><p>|b</p>', 'Backspace', '<p>a|b</p>'],
+  ['keeps marks when merging', '<p>a</p><p>|<em>b</em></p>', 'Backspace', '<p>a|<em>b</em></p>'],
+  ['merges into the last list item', '<ul><li>a</li></ul><p>|b</p>', 'Backspace', '<ul><li>a|b</li></ul>'],
+  ['merges into a list and joins the list after', '<ol><li>a</li></ol><p>|b</p><ol><li>c</li></ol>', 'Backspace',
+    '<ol><li>a|b</li><li>c</li></ol>']
+]
+
+describe.each([
+  ['native backend', true],
+  ['DOM backend', false]
+])('handleBackspace (%s)', (backend, useExecCommandOnly) => {
+  it.each(CASES)('%s', (name, initial, keys, expected) => {
+    expect(play(initial, keys, { useExecCommandOnly })).toBe(expected)
+  })
+})
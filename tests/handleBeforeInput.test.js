@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest'
+import { play, withEditor } from './harness/editor'
+
+// [case, initial HTML, inputType, expected HTML]
+const CASES = [
+  ['word deletion at a block start merges like Backspace', '<p>a</p><p>|b</p>', 'deleteWordBackward', '<p>a|b</p>'],
+  ['a line break stays native', '<p>a|b</p>', 'insertLineBreak', '<p>a<br>|b</p>'],
+  ['indenting a list item nests it', '<ul><li>a</li><li>|b</li></ul>', 'formatIndent',
+    '<ul><li>a<ul><li>|b</li></ul></li></ul>'],
+  ['outdenting a nested item lifts it', '<ul><li>a<ul><li>|b</li></ul></li></ul>', 'formatOutdent',
+    '<ul><li>a</li><li>|b</li></ul>'],
+  ['formats without markdown are dropped', '<p>{a}b</p>', 'formatUnderline', '<p>{a}b</p>']
+]
+
+describe('handleBeforeInput', () => {
+  it.each(CASES)('%s', (name, initial, inputType, expected) => {
+    withEditor(initial, harness => {
+      expect(harness.input(inputType).html()).toBe(expected)
+    })
+  })
+
+  it('runs formatting through editor commands', () => {
+    withEditor('<p>{a}b</p>', harness => {
+      harness.input('formatBold')
+      expect(document.execCommand.log).toContain('bold')
+    })
+  })
+
+  it('lets only an immediate Backspace revert a shortcut', () => {
+    expect(play('<p>|</p>', '# Space x Backspace')).toBe('<h1>|<br></h1>')
+  })
+})
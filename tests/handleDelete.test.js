@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import { play } from './harness/editor'
+
+const task = (checked = false) =>
+  `<input type="checkbox" class="task-list-item-checkbox" contenteditable="false"${checked ? ' checked=""' : ''}>`
+
+// [case, initial HTML, keys, expected HTML]
+const CASES = [
+  // Declined: the browser deletes
+  ['range selection is left to the browser', '<p>{a}b</p>', 'Delete', '<p>|b</p>'],
+  ['inside text is left to the browser', '<p>a|b</p>', 'Delete', '<p>a|</p>'],
+  ['deletes into a following mark', '<p>a|<strong>b</strong></p>', 'Delete', '<p>a|</p>'],
+  ['last paragraph has nothing to merge', '<p>a|</p>', 'Delete', '<p>a|</p>'],
+
+  // Code blocks
+  ['deletes inside a code block', '<pre><code>a|b\n</code></pre>', 'Delete', '<pre><code>a|\n</code></pre>'],
+  ['keeps a code block at its end', '<pre><code>a|\n</code></pre><p>b</p>', 'Delete',
+    '<pre><code>a|\n</code></pre><p>b</p>'],
+  ['steps into a following code block', '<p>a|</p><pre><code>b\n</code></pre>', 'Delete',
+    '<p>a</p><pre><code>|b\n</code></pre>'],
+
+  // Tables
+  ['never merges table cells', '<table><tbody><tr><td>a|</td><td>b</td></tr></tbody></table>', 'Delete',
+    '<table><tbody><tr><td>a|</td><td>b</td></tr></tbody></table>'],
+  ['steps into a following table', '<p>a|</p><table><tbody><tr><td>b</td></tr></tbody></table>', 'Delete',
+    '<p>a</p><table><tbody><tr><td>|b</td></tr></tbody></table>'],
+
+  // Rules
+  ['removes a following rule', '<p>a|</p><hr><p>b</p>', 'Delete', '<p>a|</p><p>b</p>'],
+
+  // Empty blocks
+  ['removes an empty paragraph before a heading', '<p>|<br></p><h2>b</h2>', 'Delete', '<h2>|b</h2>'],
+  ['removes an empty paragraph before a list', '<p>|<br></p><ul><li>b</li></ul>', 'Delete',
+    '<ul><li>|b</li></ul>'],
+  ['joins lists around an empty paragraph', '<ul><li>a|</li></ul><p><br></p><ul><li>b</li></ul>', 'Delete',
+    '<ul><li>a|</li><li>b</li></ul>'],
+  ['joins quotes around an empty paragraph',
+    '<blockquote><p>a|</p></blockquote><p><br></p><blockquote><p>b</p></blockquote>', 'Delete',
+    '<blockquote><p>a|</p><p>b</p></blockquote>'],
+
+  // Merges
+  ['merges paragraphs', '<p>a|</p><p>b</p>', 'Delete', '<p>a|b</p>'],
+  ['keeps marks when merging', '<p>a|</p><p><em>b</em></p>', 'Delete', '<p>a|<em>b</em></p>'],
+  ['merges a paragraph into a heading', '<h2>a|</h2><p>b</p>', 'Delete', '<h2>a|b</h2>'],
+  ['merges the first item of a following list', '<p>a|</p><ul><li>b</li><li>c</li></ul>', 'Delete',
+    '<p>a|b</p><ul><li>c</li></ul>'],
+  ['merges the first paragraph of a following quote', '<p>a|</p><blockquote><p>b</p><p>c</p></blockquote>', 'Delete',
+    '<p>a|b</p><blockquote><p>c</p></blockquote>'],
+  ['merges a paragraph into the last list item', '<ul><li>a|</li></ul><p>b</p>', 'Delete',
+    '<ul><li>a|b</li></ul>'],
+  ['merges the next list item', '<ul><li>a|</li><li>b</li></ul>', 'Delete', '<ul><li>a|b</li></ul>'],
+  ['merges the first nested item', '<ul><li>a|<ul><li>b</li></ul></li></ul>', 'Delete',
+    '<ul><li>a|b</li></ul>'],
+  ['merges the next task item, keeping this checkbox',
+    `<ul><li class="task-list-item">${task()}a|</li><li class="task-list-item">${task(true)}b</li></ul>`, 'Delete',
+    `<ul><li class="task-list-item">${task()}a|b</li></ul>`],
+  ['merges into a list and joins the list after', '<ol><li>a|</li></ol><p>b</p><ol><li>c</li></ol>', 'Delete',
+    '<ol><li>a|b</li><li>c</li></ol>']
+]
+
+describe.each([
+  ['native backend', true],
+  ['DOM backend', false]
+])('handleDelete (%s)', (backend, useExecCommandOnly) => {
+  it.each(CASES)('%s', (name, initial, keys, expected) => {
+    expect(play(initial, keys, { useExecCommandOnly })).toBe(expected)
+  })
+})
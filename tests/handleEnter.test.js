@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest'
+import { play } from './harness/editor'
+
+const task = (checked = false) =>
+  `<input type="checkbox" class="task-list-item-checkbox" contenteditable="false"${checked ? ' checked=""' : ''}>`
+
+const RAW = '<details><summary>S</summary><p>hidden</p></details>' +
+  '<p><u>under</u> <sup>2</sup> <span style="color:red">red</span></p><h2 id="anchor">T</h2>'
+const CODE = '<pre><code class="language-js"><span class="hljs-keyword">const</span> a</code></pre>'
+
+// [case, initial HTML, keys, expected HTML]
+const CASES = [
+  // Input rules
+  ['turns a fence into a code block', '<p>```js|</p>', 'Enter',
+    '<pre><code class="language-js">|<br></code></pre>'],
+
+  // Code blocks
+  ['inserts a newline in code', '<pre><code>a|\n</code></pre>', 'Enter', '<pre><code>a\n|\n</code></pre>'],
+  ['leaves code after two empty lines', '<pre><code>a\n\n|\n</code></pre>', 'Enter',
+    '<pre><code>a</code></pre><p>|<br></p>'],
+
+  // Tables
+  ['moves to the cell below', '<table><tbody><tr><td>|a</td></tr><tr><td>b</td></tr></tbody></table>', 'Enter',
+    '<table><tbody><tr><td>a</td></tr><tr><td>|b</td></tr></tbody></table>'],
+  ['adds a row below the last one', '<table><tbody><tr><td>|a</td></tr></tbody></table>', 'Enter',
+    '<table><tbody><tr><td>a</td></tr><tr><td>|<br></td></tr></tbody></table>'],
+
+  // Empty blocks
+  ['lifts an empty nested list item', '<ul><li>a<ul><li>|<br></li></ul></li></ul>', 'Enter',
+    '<ul><li>a</li><li>|<br></li></ul>'],
+  ['leaves a list from an empty item', '<ul><li>a</li><li>|<br></li></ul>', 'Enter',
+    '<ul><li>a</li></ul><p>|<br></p>'],
+  ['leaves a list from its only empty item', '<ul><li>|<br></li></ul>', 'Enter', '<p>|<br></p>'],
+  ['leaves a task list without the checkbox', `<ul><li class="task-list-item">${task()}|<br></li></ul>`, 'Enter',
+    '<p>|<br></p>'],
+  ['leaves a quote from an empty paragraph', '<blockquote><p>|<br></p></blockquote>', 'Enter', '<p>|<br></p>'],
+  ['resets an empty heading', '<h2>|<br></h2>', 'Enter', '<p>|<br></p>'],
+
+  // Task items
+  ['continues a task list unchecked', `<ul><li class="task-list-item">${task(true)}a|b</li></ul>`, 'Enter',
+    `<ul><li class="task-list-item">${task(true)}a</li><li class="task-list-item">${task()}|b</li></ul>`],
+
+  // End of blocks
+  ['starts a paragraph after an inline element', '<p>a <strong>b|</strong></p>', 'Enter',
+    '<p>a <strong>b</strong></p><p>|<br></p>'],
+  ['adds a list item at the end of an item', '<ul><li>ab|</li></ul>', 'Enter', '<ul><li>ab</li><li>|<br></li></ul>'],
+  ['adds a quote paragraph at the end of one', '<blockquote><p>a|</p></blockquote>', 'Enter',
+    '<blockquote><p>a</p><p>|<br></p></blockquote>'],
+
+  // Model splits
+  ['splits a paragraph', '<p>a|b</p>', 'Enter', '<p>a</p><p>|b</p>'],
+  ['splits at the end of a paragraph', '<p>ab|</p>', 'Enter', '<p>ab</p><p>|<br></p>'],
+  ['splits at the start of a paragraph', '<p>|ab</p>', 'Enter', '<p><br></p><p>|ab</p>'],
+  ['continues a heading with a paragraph', '<h1>ab|</h1>', 'Enter', '<h1>ab</h1><p>|<br></p>'],
+  ['splits a heading in two', '<h1>a|b</h1>', 'Enter', '<h1>a</h1><h1>|b</h1>'],
+  ['splits a list item', '<ul><li>a|b</li></ul>', 'Enter', '<ul><li>a</li><li>|b</li></ul>'],
+  ['splits a quote paragraph', '<blockquote><p>a|b</p></blockquote>', 'Enter',
+    '<blockquote><p>a</p><p>|b</p></blockquote>'],
+
+  // Raw HTML around the edit
+  ['leaves raw HTML after the split alone', `<p>ab|cd</p>${RAW}`, 'Enter', `<p>ab</p><p>|cd</p>${RAW}`],
+  ['leaves a wrapping div before the split alone', '<div><p>one</p><p>two</p></div><p>ab|cd</p>', 'Enter',
+    '<div><p>one</p><p>two</p></div><p>ab</p><p>|cd</p>'],
+  ['splits a paragraph inside a wrapping div', '<div><p>one</p><p>t|wo</p></div><p>abcd</p>', 'Enter',
+    '<div><p>one</p><p>t</p><p>|wo</p></div><p>abcd</p>'],
+  ['keeps highlighted code before the split', `${CODE}<p>ab|cd</p>`, 'Enter', `${CODE}<p>ab</p><p>|cd</p>`],
+  ['carries unknown inline elements into both halves', '<p><u>un|der</u> <sup>2</sup></p>', 'Enter',
+    '<p><u>un</u></p><p><u>|der</u> <sup>2</sup></p>'],
+
+  // Declined: the browser handles it
+  ['keeps Shift+Enter a line break', '<p>a|b</p>', 'Shift+Enter', '<p>a<br>|b</p>'],
+  ['leaves a range selection to the browser', '<p>{a}b</p>', 'Enter', '<p><br></p><p>|b</p>']
+]
+
+describe.each([
+  ['native backend', true],
+  ['DOM backend', false]
+])('handleEnter (%s)', (backend, useExecCommandOnly) => {
+  it.each(CASES)('%s', (name, initial, keys, expected) => {
+    expect(play(initial, keys, { useExecCommandOnly })).toBe(expected)
+  })
+})
@@ -0,0 +1,272 @@
+/**
+ * Editor harness - mounts MarkdownBlockEditor on a jsdom element
+ *
+ * Documents are written as HTML with selection markers: `|` for a collapsed
+ * caret, `{` and `}` for the ends of a range. Keys are played as the
+ * beforeinput events MarkdownEditor.vue routes, falling back to the browser's
+ * default action (through the execCommand stand-in) when a handler declines.
+ * HTML read back leaves out the whitespace between blocks.
+ */
+import MarkdownBlockEditor from '../../src/utils/MarkdownBlockEditor2'
+import { installExecCommand } from './execCommand'
+
+export const CARET = '|'
+export const SELECTION_START = '{'
+export const SELECTION_END = '}'
+
+const MARKERS = [CARET, SELECTION_START, SELECTION_END]
+
+// ========== Markers ==========
+
+/**
+ * Set `html` as the element content and select the marked position
+ */
+export function setContent(element, html) {
+  element.innerHTML = html
+
+  const points = {}
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT)
+  const textNodes = []
+  while (walker.nextNode()) textNodes.push(walker.currentNode)
+
+  textNodes.forEach(node => {
+    let index
+    while ((index = findMarker(node.data)) !== -1) {
+      const marker = node.data.charAt(index)
+      node.deleteData(index, 1)
+      points[marker] = { node, offset: index }
+    }
+  })
+
+  // Markers that were a text node of their own point between elements
+  Object.keys(points).forEach(marker => {
+    const textNode = points[marker].node
+    if (textNode.nodeType === 3 && textNode.data === '' && textNode.parentNode) {
+      const parent = textNode.parentNode
+      const offset = Array.prototype.indexOf.call(parent.childNodes, textNode)
+      Object.values(points).forEach(point => {
+        if (point.node === textNode) {
+          point.node = parent
+          point.offset = offset
+        }
+      })
+      parent.removeChild(textNode)
+    }
+  })
+
+  const start = points[CARET] || points[SELECTION_START]
+  const end = points[CARET] || points[SELECTION_END] || start
+  const selection = window.getSelection()
+  selection.removeAllRanges()
+  if (start) {
+    const range = document.createRange()
+    range.setStart(start.node, start.offset)
+    range.setEnd(end.node, end.offset)
+    selection.addRange(range)
+  }
+}
+
+function findMarker(text) {
+  const indexes = MARKERS.map(marker => text.indexOf(marker)).filter(index => index !== -1)
+  return indexes.length ? Math.min(...indexes) : -1
+}
+
+const BLOCK_TAGS = [
+  'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'PRE', 'HR',
+  'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD', 'FIGURE', 'DIV', 'DL', 'DT', 'DD', 'DETAILS',
+  'SUMMARY', 'SECTION', 'ASIDE'
+]
+
+const isBlock = node => Boolean(node) && BLOCK_TAGS.includes(node.nodeName)
+
+/**
+ * Drop the whitespace between blocks. Whether a render leaves a newline
+ * between two blocks is layout, not content, so expectations leave it out
+ */
+function stripBlockWhitespace(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT)
+  const blank = []
+  while (walker.nextNode()) {
+    const node = walker.currentNode
+    if (/^\s*$/.test(node.data) && !node.parentElement.closest('pre') &&
+        (isBlock(node.previousSibling) || isBlock(node.nextSibling))) {
+      blank.push(node)
+    }
+  }
+  blank.forEach(node => node.remove())
+  return root.innerHTML
+}
+
+/**
+ * Element HTML with the current selection written in as markers
+ */
+export function getContent(element) {
+  const selection = window.getSelection()
+  if (!selection.rangeCount || !element.contains(selection.getRangeAt(0).startContainer)) {
+    return stripBlockWhitespace(element.cloneNode(true))
+  }
+
+  const range = selection.getRangeAt(0)
+  const clone = element.cloneNode(true)
+  const locate = node => {
+    const path = []
+    while (node !== element) {
+      path.unshift(Array.prototype.indexOf.call(node.parentNode.childNodes, node))
+      node = node.parentNode
+    }
+    return path.reduce((current, index) => current.childNodes[index], clone)
+  }
+
+  const insertMarker = (node, offset, marker) => {
+    const target = locate(node)
+    if (target.nodeType === 3) {
+      target.insertData(offset, marker)
+    } else {
+      target.insertBefore(document.createTextNode(marker), target.childNodes[offset] || null)
+    }
+  }
+
+  // The end goes in first so the start offset stays valid
+  if (range.collapsed) {
+    insertMarker(range.startContainer, range.startOffset, CARET)
+  } else {
+    insertMarker(range.endContainer, range.endOffset, SELECTION_END)
+    insertMarker(range.startContainer, range.startOffset, SELECTION_START)
+  }
+  return stripBlockWhitespace(clone)
+}
+
+// ========== Key Playback ==========
+
+const KEY_INPUT_TYPES = {
+  Backspace: 'deleteContentBackward',
+  Delete: 'deleteContentForward',
+  Enter: 'insertParagraph',
+  'Shift+Enter': 'insertLineBreak',
+  Space: 'insertText'
+}
+
+// What the browser does when the editor lets a beforeinput through
+const DEFAULT_ACTIONS = {
+  deleteContentBackward: () => document.execCommand('delete'),
+  deleteContentForward: () => document.execCommand('forwardDelete'),
+  insertParagraph: () => document.execCommand('insertParagraph'),
+  insertLineBreak: () => document.execCommand('insertHTML', false, '<br>'),
+  insertText: data => document.execCommand('insertText', false, data)
+}
+
+/**
+ * Dispatch an input the way MarkdownEditor.vue routes beforeinput, then apply
+ * the browser's default action when the editor declines it
+ */
+function input(editor, inputType, data = null) {
+  if (editor.handleBeforeInput(inputType, data)) return true
+
+  const action = DEFAULT_ACTIONS[inputType]
+  if (!action) return false
+  action(data)
+
+  // Inline shortcuts run from the input event once the text is in
+  if (inputType === 'insertText') editor.handleTextInput(data)
+  return true
+}
+
+/**
+ * Keydown event for a combination such as Ctrl+Shift+Z
+ */
+function shortcutEvent(combination) {
+  const modifiers = combination.split('+')
+  const key = modifiers.pop()
+  const event = { key: key.toLowerCase(), code: /^\d$/.test(key) ? `Digit${key}` : `Key${key.toUpperCase()}` }
+  modifiers.forEach(modifier => {
+    event[`${modifier.toLowerCase()}Key`] = true
+  })
+  return event
+}
+
+function pressKey(editor, key) {
+  if (key === 'Tab' || key === 'Shift+Tab') {
+    editor.resetInputRules()
+    return editor.handleTab(key === 'Shift+Tab')
+  }
+  if (key in KEY_INPUT_TYPES) {
+    return input(editor, KEY_INPUT_TYPES[key], key === 'Space' ? ' ' : null)
+  }
+  // Combinations go through the keymap, as MarkdownEditor.vue's keydown does
+  if (/^(Ctrl|Alt|Meta)\+./.test(key)) {
+    editor.resetInputRules()
+    return editor.handleShortcut(shortcutEvent(key))
+  }
+  Array.from(key).forEach(character => input(editor, 'insertText', character))
+  return true
+}
+
+/**
+ * Mount an editor with the given marked-up content
+ */
+export function createEditor(html = '', options = {}) {
+  const restore = installExecCommand()
+  const element = document.createElement('div')
+  element.setAttribute('contenteditable', 'true')
+  document.body.appendChild(element)
+
+  setContent(element, html)
+  const editor = new MarkdownBlockEditor(element, { isMac: false, ...options })
+
+  return {
+    element,
+    editor,
+
+    /**
+     * Play keys: Backspace, Delete, Enter, Shift+Enter, Tab, Shift+Tab and Space are
+     * named keys, Ctrl, Alt and Meta combinations such as Ctrl+Shift+Z run the
+     * keymap, anything else is typed character by character
+     */
+    press(...keys) {
+      keys.forEach(key => pressKey(editor, key))
+      return this
+    },
+
+    /**
+     * Send a beforeinput `inputType` directly, as menus and virtual keyboards do
+     */
+    input(inputType, data) {
+      input(editor, inputType, data)
+      return this
+    },
+
+    html() {
+      return getContent(element)
+    },
+
+    destroy() {
+      element.remove()
+      restore()
+    }
+  }
+}
+
+/**
+ * Run one "initial HTML | keys | expected HTML" case: mounts `initial`, plays
+ * the space separated `keys` and returns the resulting marked-up HTML
+ */
+export function play(initial, keys, options) {
+  return withEditor(initial, options, harness => {
+    harness.press(...keys.split(' ').filter(Boolean))
+    return harness.html()
+  })
+}
+
+/**
+ * Mount `initial`, run `fn` with the harness and unmount again, even when
+ * `fn` throws. Returns what `fn` returned; `options` may be left out
+ */
+export function withEditor(initial, options, fn) {
+  if (typeof options === 'function') return withEditor(initial, {}, options)
+  const harness = createEditor(initial, options)
+  try {
+    return fn(harness)
+  } finally {
+    harness.destroy()
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * execCommand stand-in for jsdom
+ *
+ * jsdom has no editing commands, so document.execCommand is routed to
+ * DOMCommandBackend for the editable root holding the selection. Commands the
+ * backend does not implement report false.
+ */
+import DOMCommandBackend from '../../src/utils/DOMCommandBackend'
+
+const UNSUPPORTED = { execute: () => false }
+
+function getRoot(node) {
+  const element = node.nodeType === 1 ? node : node.parentElement
+  return element && element.closest('[contenteditable="true"]')
+}
+
+/**
+ * Install the stand-in on `document`; returns a function restoring the original
+ */
+export function installExecCommand(doc = document) {
+  const original = doc.execCommand
+  const log = []
+
+  doc.execCommand = function (command, showUI, value) {
+    log.push(command)
+    const selection = window.getSelection()
+    if (!selection.rangeCount) return false
+
+    const root = getRoot(selection.getRangeAt(0).startContainer)
+    if (!root) return false
+    return new DOMCommandBackend(root, { fallback: UNSUPPORTED }).execute(command, value)
+  }
+  doc.execCommand.log = log
+
+  return () => {
+    doc.execCommand = original
+  }
+}
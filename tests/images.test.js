@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest'
+import MarkdownIt from 'markdown-it'
+import TurndownService from 'turndown'
+import { play, withEditor } from './harness/editor'
+import { imageBlockPlugin, addImageRules, imageBlockHTML, imageMarkdown } from '../src/utils/Images'
+import { parseMarkdown, parseDOM, serializeMarkdown } from '../src/utils/DocumentModel'
+
+const md = new MarkdownIt({ html: true }).use(imageBlockPlugin)
+
+const turndownService = new TurndownService({ headingStyle: 'atx' })
+addImageRules(turndownService)
+
+const IMAGE = imageBlockHTML({ src: 'a.png', alt: 'A' })
+const UPLOADING = imageBlockHTML({ src: 'blob:1', alt: 'B', upload: 'u1' })
+
+describe('imageBlockPlugin', () => {
+  it('renders an image paragraph as an image block', () => {
+    expect(md.render('![A](a.png "T")')).toBe(imageBlockHTML({ src: 'a.png', alt: 'A', title: 'T' }) + '\n')
+  })
+
+  it('keeps images among text inline', () => {
+    expect(md.render('x ![A](a.png)')).toBe('<p>x <img src="a.png" alt="A"></p>\n')
+  })
+
+  it('keeps images of tight list items inline', () => {
+    expect(md.render('- ![A](a.png)')).toBe('<ul>\n<li><img src="a.png" alt="A"></li>\n</ul>\n')
+  })
+})
+
+describe('image block serialization', () => {
+  it('escapes sources that would end the destination', () => {
+    const markdown = imageMarkdown({ src: 'my image (1).png', alt: 'A' })
+    expect(markdown).toBe('![A](my%20image%20%281%29.png)')
+    expect(md.render(markdown)).toBe(imageBlockHTML({ src: 'my%20image%20%281%29.png', alt: 'A' }) + '\n')
+  })
+
+  it('round trips through the document model', () => {
+    const markdown = 'x\n\n![A \\[1\\]](a.png "T")\n\ny'
+    expect(serializeMarkdown(parseMarkdown(md, markdown))).toBe(markdown)
+  })
+
+  it('reads image blocks from the editor DOM', () => {
+    const root = document.createElement('div')
+    root.innerHTML = `<p>x</p>${IMAGE}${UPLOADING}`
+    expect(serializeMarkdown(parseDOM(root).doc)).toBe('x\n\n![A](a.png)')
+  })
+
+  it('writes image blocks through Turndown and leaves out uploads', () => {
+    expect(turndownService.turndown(`<p>x</p>${IMAGE}${UPLOADING}<p>y</p>`)).toBe('x\n\n![A](a.png)\n\ny')
+  })
+})
+
+// [case, initial HTML, keys, expected HTML]
+const CASES = [
+  ['Backspace after an image removes it', `<p>a</p>${IMAGE}<p>|b</p>`, 'Backspace', '<p>a</p><p>|b</p>'],
+  ['Backspace after a leading image removes it', `${IMAGE}<p>|b</p>`, 'Backspace', '<p>|b</p>'],
+  ['Delete before an image removes it', `<p>a|</p>${IMAGE}<p>b</p>`, 'Delete', '<p>a|</p><p>b</p>'],
+  ['Backspace on a selected image removes it', `<p>a</p>{${IMAGE}}<p>b</p>`, 'Backspace', '<p>a</p><p>|b</p>'],
+  ['Delete on a selected last image moves back', `<p>a</p>{${IMAGE}}`, 'Delete', '<p>a|</p>'],
+  ['removing the only block leaves a paragraph', `{${IMAGE}}`, 'Backspace', '<p>|<br></p>']
+]
+
+describe('image blocks', () => {
+  it.each(CASES)('%s', (name, initial, keys, expected) => {
+    expect(play(initial, keys)).toBe(expected)
+  })
+
+  it('inserts images by splitting the caret block', () => {
+    withEditor('<p>a|b</p>', harness => {
+      harness.editor.insertImages([{ src: 'a.png', alt: 'A' }])
+      expect(harness.html()).toBe(`<p>a</p>${IMAGE}<p>|b</p>`)
+    })
+  })
+
+  it('replaces upload placeholders with the final image', () => {
+    withEditor(`<p>a|</p>${UPLOADING}`, harness => {
+      expect(harness.editor.finishImageUpload('u1', 'b.png')).toBe(true)
+      expect(harness.element.querySelector('figure').outerHTML).toBe(imageBlockHTML({ src: 'b.png', alt: 'B' }))
+      expect(harness.editor.finishImageUpload('u1', 'c.png')).toBe(false)
+    })
+  })
+
+  it('folds a finished upload into the step that inserted it', () => {
+    withEditor('<p>a|</p>', harness => {
+      const { editor } = harness
+      editor.history.reset()
+      editor.insertImages([{ src: 'blob:1', alt: 'B', upload: 'u1' }])
+      editor.history.record()
+      editor.finishImageUpload('u1', 'b.png')
+      expect(editor.history.record()).toBe(false)
+
+      editor.history.undo()
+      expect(harness.html()).toBe('<p>a|</p>')
+      editor.history.redo()
+      expect(harness.element.querySelector('figure').outerHTML).toBe(imageBlockHTML({ src: 'b.png', alt: 'B' }))
+    })
+  })
+
+  it('drops the placeholder of a failed upload from the history', () => {
+    withEditor('<p>a|b</p>', harness => {
+      const { editor } = harness
+      editor.history.reset()
+      editor.insertImages([{ src: 'blob:1', alt: 'B', upload: 'u1' }])
+      editor.history.record()
+      editor.cancelImageUpload('u1')
+      expect(editor.history.record()).toBe(false)
+
+      editor.history.undo()
+      expect(harness.html()).toBe('<p>a|b</p>')
+      editor.history.redo()
+      expect(harness.element.querySelector('figure')).toBe(null)
+    })
+  })
+
+  it('drops the placeholder of a failed upload', () => {
+    withEditor(`<p>a|</p>${UPLOADING}`, harness => {
+      expect(harness.editor.cancelImageUpload('u1')).toBe(true)
+      expect(harness.html()).toBe('<p>a|</p>')
+    })
+  })
+
+  it('edits the alt text', () => {
+    withEditor(`<p>a|</p>${IMAGE}`, harness => {
+      const figure = harness.element.querySelector('figure')
+      expect(harness.editor.setImageAlt(figure, 'New')).toBe(true)
+      expect(turndownService.turndown(harness.element.innerHTML)).toBe('a\n\n![New](a.png)')
+    })
+  })
+})
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest'
+import MarkdownIt from 'markdown-it'
+import TurndownService from 'turndown'
+import { play, withEditor } from './harness/editor'
+import { trimUrl, addLinkRules } from '../src/utils/Links'
+
+const md = new MarkdownIt({ html: true, linkify: true })
+
+const turndownService = new TurndownService({ headingStyle: 'atx' })
+addLinkRules(turndownService)
+
+describe('trimUrl', () => {
+  it.each([
+    ['https://x.org.', 'https://x.org'],
+    ['https://x.org/a?b=1),', 'https://x.org/a?b=1'],
+    ['https://x.org/wiki/A_(b)', 'https://x.org/wiki/A_(b)'],
+    ['www.x.org!?', 'www.x.org']
+  ])('%s', (url, expected) => {
+    expect(trimUrl(url)).toBe(expected)
+  })
+})
+
+describe('link serialization', () => {
+  it.each([
+    ['see https://x.org/a_b now'],
+    ['see www.x.org'],
+    ['[text](https://x.org)'],
+    ['[https://x.org](https://x.org "T")']
+  ])('%s round trips', markdown => {
+    expect(turndownService.turndown(md.render(markdown))).toBe(markdown)
+  })
+})
+
+// [case, initial HTML, keys, expected HTML]
+const CASES = [
+  ['a typed URL becomes a link on space', '<p>see https://x.org|</p>', 'Space',
+    '<p>see <a href="https://x.org">https://x.org</a> |</p>'],
+  ['www addresses get a scheme', '<p>www.x.org|</p>', 'Space',
+    '<p><a href="http://www.x.org">www.x.org</a> |</p>'],
+  ['trailing punctuation stays outside', '<p>(https://x.org/a).|</p>', 'Space',
+    '<p>(<a href="https://x.org/a">https://x.org/a</a>). |</p>'],
+  ['incomplete URLs stay text', '<p>https://|</p>', 'Space', '<p>https:// |</p>'],
+  ['URLs in code stay text', '<p><code>https://x.org|</code></p>', 'Space', '<p><code>https://x.org |</code></p>'],
+  ['a typed markdown link becomes a link', '<p>see [a](https://x.org|</p>', ')',
+    '<p>see <a href="https://x.org">a</a>|</p>'],
+  ['typed script links stay text', '<p>see [a](javascript:void|</p>', ')',
+    '<p>see [a](javascript:void)|</p>'],
+  ['Enter at the end of a link leaves it', '<p>a <a href="u">b|</a></p>', 'Enter',
+    '<p>a <a href="u">b</a></p><p>|<br></p>']
+]
+
+describe('links', () => {
+  it.each(CASES)('%s', (name, initial, keys, expected) => {
+    expect(play(initial, keys)).toBe(expected)
+  })
+
+  it('inserts the URL as the link text at a collapsed caret', () => {
+    withEditor('<p>a |</p>', harness => {
+      expect(harness.editor.setLink('www.x.org', 'T')).toBe(true)
+      expect(harness.html()).toBe('<p>a <a href="http://www.x.org" title="T">http://www.x.org|</a></p>')
+    })
+  })
+
+  it('edits the link at the caret in place', () => {
+    withEditor('<p><a href="u" title="T">a|b</a></p>', harness => {
+      expect(harness.editor.setLink('https://x.org')).toBe(true)
+      expect(harness.html()).toBe('<p><a href="https://x.org">a|b</a></p>')
+      // As an edit, which the history records like any other
+      expect(document.execCommand.log).toEqual(['insertHTML'])
+    })
+  })
+
+  it('refuses script links', () => {
+    withEditor('<p>a|</p>', harness => {
+      expect(harness.editor.setLink('javascript:alert(1)')).toBe(false)
+      expect(harness.html()).toBe('<p>a|</p>')
+    })
+  })
+
+  it('asks the link listener for a target', () => {
+    const requests = []
+    withEditor('<p><a href="u" title="T">a|b</a></p>', { onLinkRequest: request => requests.push(request) }, harness => {
+      expect(harness.editor.runCommand('insertLink')).toBe(true)
+      expect(requests).toHaveLength(1)
+      expect(requests[0]).toMatchObject({ href: 'u', title: 'T', text: 'ab' })
+      expect(requests[0].link).toBe(harness.element.querySelector('a'))
+    })
+  })
+})
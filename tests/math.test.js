@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest'
+import MarkdownIt from 'markdown-it'
+import TurndownService from 'turndown'
+import { play, withEditor } from './harness/editor'
+import { mathPlugin, addMathRules, mathHTML } from '../src/utils/Math'
+import { parseMarkdown, parseDOM, serializeMarkdown, renderHTML } from '../src/utils/DocumentModel'
+import { sanitizeHTML } from '../src/utils/Clipboard'
+
+const md = new MarkdownIt({ html: true, typographer: true }).use(mathPlugin)
+
+const turndownService = new TurndownService({ headingStyle: 'atx' })
+addMathRules(turndownService)
+
+const INLINE = mathHTML('x^2', false)
+const BLOCK = mathHTML('\\frac{a}{b}', true)
+
+describe('mathPlugin', () => {
+  it.each([
+    ['inline formulas', 'a $x^2$ b', `<p>a ${INLINE} b</p>\n`],
+    ['display formulas', '$$\n\\frac{a}{b}\n$$', `${BLOCK}\n`],
+    ['display formulas on one line', '$$\\frac{a}{b}$$', `${BLOCK}\n`],
+    ['prices stay text', 'costs $5 and $6', '<p>costs $5 and $6</p>\n'],
+    ['escaped dollars stay text', '\\$x$', '<p>$x$</p>\n'],
+    ['a digit after the closing dollar', 'a $x$5', '<p>a $x$5</p>\n'],
+    ['unclosed display math stays text', '$$\nx', '<p>$$\nx</p>\n'],
+    ['code spans win', '`$x$`', '<p><code>$x$</code></p>\n']
+  ])('%s', (name, markdown, expected) => {
+    expect(md.render(markdown)).toBe(expected)
+  })
+
+  it('draws formulas with the given renderer', () => {
+    const render = (tex, displayMode) => `<b>${displayMode ? 'D' : 'I'}:${tex}</b>`
+    const custom = new MarkdownIt().use(mathPlugin, { render })
+    expect(custom.render('$a$')).toBe(`<p>${mathHTML('a', false, render)}</p>\n`)
+    expect(mathHTML('a', true, render)).toBe('<div class="math-block" contenteditable="false" data-tex="a"><b>D:a</b></div>')
+  })
+
+  it('shows the source of formulas the renderer rejects', () => {
+    const render = () => { throw new Error('Bad') }
+    expect(mathHTML('\\x', false, render)).toBe(
+      '<span class="math-inline" contenteditable="false" data-tex="\\x"><span class="math-error" title="Bad">\\x</span></span>')
+  })
+})
+
+describe('math serialization', () => {
+  const markdown = 'a $x_1 < \\alpha$ b\n\n$$\n\\sum_{i=1}^n i\n\\\\\ny\n$$\n\nc'
+
+  it('round trips the TeX source through Turndown', () => {
+    expect(turndownService.turndown(md.render(markdown))).toBe(markdown)
+  })
+
+  it('round trips through the document model', () => {
+    expect(serializeMarkdown(parseMarkdown(md, markdown))).toBe(markdown)
+  })
+
+  it('reads formulas from the editor DOM', () => {
+    const root = document.createElement('div')
+    root.innerHTML = md.render(markdown)
+    expect(serializeMarkdown(parseDOM(root).doc)).toBe(markdown)
+  })
+
+  it('renders like markdown-it', () => {
+    expect(renderHTML(parseMarkdown(md, markdown))).toBe(md.render(markdown))
+  })
+
+  it('keeps formulas through paste sanitizing', () => {
+    expect(sanitizeHTML(`<p>a ${mathHTML('x', false, () => '<svg></svg><i>x</i>')}</p>`))
+      .toBe('<p>a <span class="math-inline" data-tex="x"></span></p>')
+  })
+})
+
+// [case, initial HTML, keys, expected HTML]
+const CASES = [
+  ['Backspace after a display formula removes it', `<p>a</p>${BLOCK}<p>|b</p>`, 'Backspace', '<p>a</p><p>|b</p>'],
+  ['Enter after an inline formula keeps it', `<p>a ${INLINE} b|c</p>`, 'Enter', `<p>a ${INLINE} b</p><p>|c</p>`],
+  ['Backspace at a block start with a formula merges it', `<p>a</p><p>|${INLINE} b</p>`, 'Backspace',
+    `<p>a|${INLINE} b</p>`]
+]
+
+describe('formulas in the editor', () => {
+  it.each(CASES)('%s', (name, initial, keys, expected) => {
+    expect(play(initial, keys)).toBe(expected)
+  })
+
+  it('inserts an inline formula from the selection and selects it', () => {
+    withEditor('<p>a {x^2} b</p>', harness => {
+      expect(harness.editor.runCommand('insertMath')).toBe(true)
+      expect(harness.html()).toBe(`<p>a {${INLINE}} b</p>`)
+    })
+  })
+
+  it('inserts a display formula as a block', () => {
+    withEditor('<p>a|</p>', harness => {
+      expect(harness.editor.runCommand('insertMathBlock')).toBe(true)
+      expect(harness.html()).toBe(`<p>a</p>{${mathHTML('', true)}}<p><br></p>`)
+    })
+  })
+
+  it('redraws a formula with new source', () => {
+    const render = tex => `<b>${tex}</b>`
+    withEditor(`<p>a ${INLINE}|</p>`, { renderMath: render }, harness => {
+      const math = harness.element.querySelector('span')
+      expect(harness.editor.setMathSource(math, 'y')).toBe(true)
+      expect(math.outerHTML).toBe(mathHTML('y', false, render))
+    })
+  })
+
+  it('undoes source typed in a go as one step', () => {
+    withEditor(`<p>a ${INLINE}|</p>`, harness => {
+      const { editor } = harness
+      const math = harness.element.querySelector('span')
+      editor.history.reset()
+      for (const tex of ['x^', 'x^3', 'x^3 + 1']) {
+        editor.setMathSource(math, tex)
+        editor.history.record('editMathSource')
+      }
+
+      expect(editor.history.undoStack).toHaveLength(1)
+      editor.history.undo()
+      expect(harness.element.innerHTML).toBe(`<p>a ${INLINE}</p>`)
+    })
+  })
+
+  it('puts the caret back after a formula on undo and redo', () => {
+    withEditor(`<p>x${INLINE}y|zw</p>`, harness => {
+      const { editor } = harness
+      editor.history.reset()
+      harness.press('Q')
+      editor.history.record('insertText')
+
+      editor.history.undo()
+      expect(harness.html()).toBe(`<p>x${INLINE}y|zw</p>`)
+      editor.history.redo()
+      expect(harness.html()).toBe(`<p>x${INLINE}yQ|zw</p>`)
+    })
+  })
+})
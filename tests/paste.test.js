@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest'
+import MarkdownIt from 'markdown-it'
+import TurndownService from 'turndown'
+import { withEditor } from './harness/editor'
+import { isMarkdown, sanitizeHTML, parseTransferData } from '../src/utils/Clipboard'
+
+const md = new MarkdownIt({ html: true })
+const turndownService = new TurndownService({ headingStyle: 'atx', bulletListMarker: '-', codeBlockStyle: 'fenced' })
+
+function transfer(data) {
+  return { getData: type => data[type] || '' }
+}
+
+/**
+ * Paste the way MarkdownEditor.vue does and return the marked-up result
+ */
+function paste(initial, data, asPlainText = false) {
+  return withEditor(initial, { useExecCommandOnly: false }, harness => {
+    const blocks = parseTransferData(transfer(data), { md, turndownService, asPlainText })
+    harness.editor.pasteBlocks(blocks, data['text/plain'] || '')
+    return harness.html()
+  })
+}
+
+// [case, initial HTML, clipboard data, expected HTML]
+const CASES = [
+  // Inline content stays in the caret block
+  ['plain text goes inline', '<h2>a|b</h2>', { 'text/plain': 'x * y' }, '<h2>ax * y|b</h2>'],
+  ['inline markdown keeps its marks', '<p>a|b</p>', { 'text/plain': 'x **y**' },
+    '<p>ax <strong>y|</strong>b</p>'],
+  ['inline HTML keeps its marks', '<ul><li>a|b</li></ul>', { 'text/html': '<span>x <b>y</b></span>' },
+    '<ul><li>ax <strong>y|</strong>b</li></ul>'],
+  ['replaces a selection in one block', '<p>a{b}c</p>', { 'text/plain': 'x' }, '<p>ax|c</p>'],
+
+  // Several blocks split the caret block
+  ['paragraphs join both halves', '<p>a|b</p>', { 'text/plain': 'x\n\ny' }, '<p>ax</p><p>y|b</p>'],
+  ['line breaks become hard breaks', '<p>a|b</p>', { 'text/plain': 'x\ny\n\nz' },
+    '<p>ax<br>\ny</p><p>z|b</p>'],
+  ['markdown blocks go in between', '<p>a|b</p>', { 'text/plain': '# T\n\n- x\n- y' },
+    '<p>a</p><h1>T</h1><ul><li>x</li><li>y|</li></ul><p>b</p>'],
+  ['an empty block is replaced', '<p>|<br></p>', { 'text/plain': '# T\n\n> q' },
+    '<h1>T</h1><blockquote><p>q|</p></blockquote>'],
+  ['code at the end leaves a paragraph for the caret', '<p>a|</p>', { 'text/plain': '```\nx\n```' },
+    '<p>a</p><pre><code>x\n</code></pre><p>|<br></p>'],
+  ['the tail keeps a heading', '<h2>a|b</h2>', { 'text/plain': '- x' },
+    '<h2>a</h2><ul><li>x|</li></ul><h2>b</h2>'],
+  ['replaces a selection across blocks', '<p>a{b</p><p>c}d</p>', { 'text/plain': 'x\n\ny' },
+    '<p>ax</p><p>y|d</p>'],
+
+  // Raw HTML in the paste stays text
+  ['escaped markup stays text', '<p>a|</p>', { 'text/html': '<p>&lt;img src=x onerror=alert(1)&gt;</p>' },
+    '<p>a&lt;img src=x onerror=alert(1)&gt;|</p>'],
+  ['HTML in markdown stays text', '<p>a|</p>', { 'text/plain': '**x** <img src=x onerror=alert(1)>' },
+    '<p>a<strong>x</strong> &lt;img src=x onerror=alert(1)&gt;|</p>'],
+  ['HTML blocks in markdown stay text', '<p>a|</p>', { 'text/plain': '# T\n\n<div onclick="x()">y</div>' },
+    '<p>a</p><h1>T</h1><p>&lt;div onclick="x()"&gt;y&lt;/div&gt;|</p>'],
+
+  // Plain text regions
+  ['code blocks take the text as is', '<pre><code>a|b</code></pre>', { 'text/plain': '# x\n\ny', 'text/html': '<h1>x</h1>' },
+    '<pre><code>a# x\n\ny|b</code></pre>'],
+  ['table cells flatten several blocks', '<table><tbody><tr><td>a|</td></tr></tbody></table>', { 'text/plain': 'x\n\ny' },
+    '<table><tbody><tr><td>ax y|</td></tr></tbody></table>']
+]
+
+describe('paste', () => {
+  it.each(CASES)('%s', (name, initial, data, expected) => {
+    expect(paste(initial, data)).toBe(expected)
+  })
+
+  it('pastes as plain text on request', () => {
+    const data = { 'text/plain': '# x', 'text/html': '<h1>x</h1>' }
+    expect(paste('<p>a|</p>', data, true)).toBe('<p>a# x|</p>')
+  })
+})
+
+describe('isMarkdown', () => {
+  it.each([
+    ['# Title', true],
+    ['- item', true],
+    ['1. first', true],
+    ['> quoted', true],
+    ['```js', true],
+    ['| a | b |', true],
+    ['some **bold** text', true],
+    ['a [link](https://example.com)', true],
+    ['use `npm test`', true],
+    ['Just a sentence - with a dash, and 2 * 3 = 6.', false],
+    ['#hashtag', false]
+  ])('%s', (text, expected) => {
+    expect(isMarkdown(text)).toBe(expected)
+  })
+})
+
+describe('sanitizeHTML', () => {
+  it.each([
+    ['drops styles and classes', '<p class="MsoNormal" style="margin:0">a</p>', '<p>a</p>'],
+    ['unwraps spans and fonts', '<p><span lang="EN"><font face="Arial">a</font></span></p>', '<p>a</p>'],
+    ['drops scripts, styles and comments', '<style>p{}</style><!--StartFragment--><p>a</p><script>x()</script>', '<p>a</p>'],
+    ['unwraps Word tags', '<p>a<o:p></o:p></p>', '<p>a</p>'],
+    ['drops Word list markers', '<p><span style="mso-list:Ignore">1.</span>a</p>', '<p>a</p>'],
+    ['unwraps the Google Docs wrapper', '<b style="font-weight:normal;" id="docs-internal-guid-1"><p>a</p></b>', '<p>a</p>'],
+    ['turns styled spans into marks', '<p><span style="font-weight:700">a</span><span style="font-style:italic">b</span></p>',
+      '<p><strong>a</strong><em>b</em></p>'],
+    ['turns inline-only divs into paragraphs', '<div>a</div><div><div>b</div></div>', '<p>a</p><p>b</p>'],
+    ['keeps link targets', '<a href="https://x.org" target="_blank" title="t">a</a>', '<a href="https://x.org" title="t">a</a>'],
+    ['drops script links', '<a href="javascript:alert(1)">a</a>', '<a>a</a>'],
+    ['keeps code languages', '<pre><code class="language-js hljs">a</code></pre><pre><code class="language-js">b</code></pre>',
+      '<pre><code>a</code></pre><pre><code class="language-js">b</code></pre>'],
+    ['keeps cell alignment', '<table><tr><td style="text-align:right">a</td></tr></table>',
+      '<table><tbody><tr><td align="right">a</td></tr></tbody></table>']
+  ])('%s', (name, html, expected) => {
+    expect(sanitizeHTML(html)).toBe(expected)
+  })
+})
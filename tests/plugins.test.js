@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest'
+import MarkdownIt from 'markdown-it'
+import TurndownService from 'turndown'
+import { withEditor } from './harness/editor'
+import { applyPlugins, getPluginTags } from '../src/utils/Plugins'
+import { footnotes } from '../src/utils/Footnotes'
+import { definitionLists } from '../src/utils/DefinitionLists'
+import { parseMarkdown, parseDOM, renderHTML } from '../src/utils/DocumentModel'
+
+const PLUGINS = [footnotes, definitionLists]
+
+const md = new MarkdownIt({ html: true })
+const turndownService = new TurndownService({ headingStyle: 'atx' })
+applyPlugins(PLUGINS, { md, turndownService })
+
+const roundTrip = markdown => turndownService.turndown(md.render(markdown))
+
+function edit(initial, run) {
+  return withEditor(initial, { plugins: PLUGINS }, harness => {
+    run(harness)
+    return harness.html()
+  })
+}
+
+describe('footnotes', () => {
+  it.each([
+    ['a reference and its definition', 'Text[^1].\n\n[^1]: Note.'],
+    ['word labels', 'See[^note] and[^other].\n\n[^note]: One.\n\n[^other]: Two.'],
+    ['definitions of several paragraphs', 'a[^1]\n\n[^1]: First.\n\n    Second.\n\nAfter.'],
+    ['formatted definitions', '[^1]: **Bold** and [a link](https://example.com).']
+  ])('round trips %s', (name, markdown) => {
+    expect(roundTrip(markdown)).toBe(markdown)
+  })
+
+  it('renders references as non-editable elements', () => {
+    expect(md.renderInline('a[^1]')).toBe(
+      'a<sup class="footnote-ref" contenteditable="false" data-label="1"><a href="#fn-1">1</a></sup>')
+  })
+
+  it('leaves labels with spaces as text', () => {
+    expect(md.renderInline('a[^not one]')).toBe('a[^not one]')
+  })
+})
+
+describe('definition lists', () => {
+  it.each([
+    ['a term and its definition', 'Term\n: Definition'],
+    ['several definitions', 'Term\n: One\n: Two'],
+    ['several terms', 'Apple\n: A fruit.\n\nCarrot\n: A root.'],
+    ['formatted terms', '**Term** `code`\n: _Definition_'],
+    ['definitions of several paragraphs', 'Term\n: First.\n\n  Second.']
+  ])('round trips %s', (name, markdown) => {
+    expect(roundTrip(markdown)).toBe(markdown)
+  })
+
+  it('keeps tight definitions as text', () => {
+    expect(md.render('Term\n: Definition')).toBe('<dl>\n<dt>Term</dt>\n<dd>Definition</dd>\n</dl>\n')
+  })
+
+  it('needs a space after the marker', () => {
+    expect(md.render('Term\n:nope')).toBe('<p>Term\n:nope</p>\n')
+  })
+})
+
+describe('getPluginTags', () => {
+  it('merges the tags of all plugins', () => {
+    expect(getPluginTags([...PLUGINS, { name: 'extra', blockTags: ['dt', 'summary'] }])).toEqual({
+      blockTags: ['DT', 'DD', 'SUMMARY'],
+      containerTags: ['ASIDE', 'DL'],
+      inlineTags: ['SUP']
+    })
+  })
+})
+
+describe('plugin elements in the document model', () => {
+  const tags = getPluginTags(PLUGINS)
+
+  it.each([
+    ['definition lists', 'Term\n: Definition\n: Other'],
+    ['loose definitions', 'Term\n: First.\n\n  Second.'],
+    ['footnotes', 'Text[^1].\n\n[^1]: Note.']
+  ])('renders %s as markdown-it does', (name, markdown) => {
+    const html = md.render(markdown)
+    expect(renderHTML(parseMarkdown(md, markdown))).toBe(html)
+
+    const root = document.createElement('div')
+    root.innerHTML = html
+    expect(renderHTML(parseDOM(root, tags).doc)).toBe(html)
+  })
+
+  it.each([
+    ['a definition list', '<dl><dt>Term</dt><dd>Definition</dd></dl>'],
+    ['a footnote reference', '<p>Text<sup class="footnote-ref" contenteditable="false" data-label="1">' +
+      '<a href="#fn-1">1</a></sup>.</p>'],
+    ['a footnote definition', '<aside class="footnote" id="fn-1" data-label="1"><p>Note.</p></aside>']
+  ])('keeps %s unchanged when no plugin is given', (name, html) => {
+    const root = document.createElement('div')
+    root.innerHTML = html
+    expect(renderHTML(parseDOM(root).doc).replace(/\n$/, '')).toBe(html)
+  })
+
+  it('keeps elements no plugin knows next to plugin ones', () => {
+    const root = document.createElement('div')
+    root.innerHTML = '<details><summary>S</summary><p>x</p></details><dl><dt>T</dt><dd>D</dd></dl><p><u>u</u></p>'
+    expect(renderHTML(parseDOM(root, tags).doc)).toBe(
+      '<details><summary>S</summary><p>x</p></details><dl>\n<dt>T</dt>\n<dd>D</dd>\n</dl>\n<p><u>u</u></p>\n')
+  })
+})
+
+describe('editing plugin elements', () => {
+  it('splits a definition on Enter', () => {
+    expect(edit('<dl><dt>Term</dt><dd>a|b</dd></dl>', harness => harness.press('Enter')))
+      .toBe('<dl><dt>Term</dt><dd>a</dd><dd>|b</dd></dl>')
+  })
+
+  it('merges a definition into its term on Backspace', () => {
+    expect(edit('<dl><dt>Term</dt><dd>|a</dd></dl>', harness => harness.press('Backspace')))
+      .toBe('<dl><dt>Term|a</dt></dl>')
+  })
+
+  it('merges the next definition on Delete', () => {
+    expect(edit('<dl><dt>Term</dt><dd>a|</dd><dd>b</dd></dl>', harness => harness.press('Delete')))
+      .toBe('<dl><dt>Term</dt><dd>a|b</dd></dl>')
+  })
+
+  it('keeps footnote references through edits', () => {
+    const ref = md.renderInline('[^1]')
+    expect(edit(`<p>a${ref}b|c</p>`, harness => harness.press('Enter')))
+      .toBe(`<p>a${ref}b</p><p>|c</p>`)
+  })
+
+  it('does not take references for atomic blocks', () => {
+    withEditor(`<p>a${md.renderInline('[^1]')}</p>`, { plugins: PLUGINS }, harness => {
+      expect(harness.editor.blocks.isAtomicBlock(harness.element.querySelector('sup'))).toBe(false)
+    })
+  })
+})
@@ -7,5 +7,9 @@ export default defineConfig({
   server: {
     port: 3000,
     open: true
+  },
+  test: {
+    environment: 'jsdom',
+    include: ['tests/**/*.test.js']
   }
 })
\ No newline at end of file